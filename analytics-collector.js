@@ -0,0 +1,45 @@
+/**
+ * Local collector for VideoPlayerAnalytics batches
+ *
+ * Usage:
+ *   node analytics-collector.js [port]
+ *   new VideoPlayerAnalytics(player, { endpoint: 'http://localhost:8787' });
+ *
+ * Prints a summary of every batch it receives.
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+
+http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method !== 'POST') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            const { session, events } = JSON.parse(body);
+            console.log(`[${new Date().toLocaleTimeString()}] ${session.title} (${session.id})`);
+            console.log(`  first frame: ${session.timeToFirstFrame ?? '-'} ms, rebuffers: ${session.rebufferCount} (${session.rebufferDuration} ms)`);
+            console.log(`  watched: ${session.watchedSeconds}s, completion: ${session.completion}%, ranges: ${JSON.stringify(session.watchedRanges)}`);
+            console.log(`  ads: ${session.ads.started} started, ${session.ads.skipped} skipped (rate ${session.ads.skipRate}), quality switches: ${session.qualitySwitches}, errors: ${session.errors.length}`);
+            events.forEach(event => console.log(`  - ${event.type} at ${event.time.toFixed(1)}s`));
+        } catch (error) {
+            console.warn('Invalid batch:', error.message);
+        }
+
+        res.writeHead(204);
+        res.end();
+    });
+}).listen(port, () => {
+    console.log(`Analytics collector listening on http://localhost:${port}`);
+});
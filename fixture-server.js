@@ -0,0 +1,61 @@
+/**
+ * Local server for the VAST fixtures in fixtures/vast
+ *
+ * Usage:
+ *   node fixture-server.js [port]
+ *   new VideoPlayer({ ..., adVideo: { vastUrl: 'http://localhost:8080/vast/inline.xml' } });
+ *
+ * Serves fixtures/ and prints every tracking beacon sent to /track/...
+ * The fixtures link to http://localhost:8080; those links are rewritten to
+ * the host and port each request was made to.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const port = Number(process.argv[2]) || 8080;
+const root = path.join(__dirname, 'fixtures');
+const fixtureOrigin = 'http://localhost:8080';
+
+http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (url.pathname.startsWith('/track/')) {
+        const event = url.pathname.slice('/track/'.length);
+        const params = Object.fromEntries(url.searchParams);
+        console.log(`[${new Date().toLocaleTimeString()}] ${event} ${JSON.stringify(params)}`);
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const file = path.join(root, path.normalize(decodeURIComponent(url.pathname)));
+    if (!file.startsWith(root + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            console.warn(`Not found: ${url.pathname}`);
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        if (!file.endsWith('.xml')) {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            res.end(data);
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(data.toString().split(fixtureOrigin).join(`http://${req.headers.host}`));
+    });
+}).listen(port, () => {
+    console.log(`Fixture server listening on http://localhost:${port}`);
+});
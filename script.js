@@ -20,62 +20,861 @@
  *     text: '#000000'               // default: black
  *   },
  *   playButtonColor: {
- *     background: '#dc2626',        // default: red-600
- *     backgroundHover: '#b91c1c',   // default: red-700
- *     text: '#ffffff'               // default: white
- *   }
+ *     background: '#dc2626',        // default: theme accent
+ *     backgroundHover: '#b91c1c',   // default: theme accent hover
+ *     text: '#ffffff'               // default: theme accent text
+ *   },
+ *   theme: 'minimal'                // or { skin, accent, progressColor, controlBackground, fontFamily, radius, icons }
  * });
  */
 
+const CAPTION_STYLE_STORAGE_KEY = 'videoPlayer.captionStyle';
+
+const CAPTION_STYLE_DEFAULTS = {
+    fontSize: '100',
+    color: '#ffffff',
+    backgroundOpacity: '75',
+    edgeStyle: 'none',
+    fontFamily: 'sans'
+};
+
+/**
+ * Caption style choices per setting. Labels are PLAYER_MESSAGES keys;
+ * `percent` groups show their values as locale-formatted percentages.
+ */
+const CAPTION_STYLE_OPTIONS = {
+    fontSize: {
+        label: 'captionFontSize',
+        percent: true,
+        values: [{ value: '75' }, { value: '100' }, { value: '150' }, { value: '200' }]
+    },
+    color: {
+        label: 'captionTextColor',
+        values: [
+            { value: '#ffffff', label: 'colorWhite' },
+            { value: '#facc15', label: 'colorYellow' },
+            { value: '#22d3ee', label: 'colorCyan' },
+            { value: '#4ade80', label: 'colorGreen' }
+        ]
+    },
+    backgroundOpacity: {
+        label: 'captionBackground',
+        percent: true,
+        values: [{ value: '0' }, { value: '25' }, { value: '50' }, { value: '75' }, { value: '100' }]
+    },
+    edgeStyle: {
+        label: 'captionEdge',
+        values: [
+            { value: 'none', label: 'edgeNone' },
+            { value: 'outline', label: 'edgeOutline' },
+            { value: 'shadow', label: 'edgeShadow' },
+            { value: 'raised', label: 'edgeRaised' },
+            { value: 'depressed', label: 'edgeDepressed' }
+        ]
+    },
+    fontFamily: {
+        label: 'captionFont',
+        values: [
+            { value: 'sans', label: 'fontSans' },
+            { value: 'serif', label: 'fontSerif' },
+            { value: 'mono', label: 'fontMono' },
+            { value: 'casual', label: 'fontCasual' }
+        ]
+    }
+};
+
+const CAPTION_EDGE_SHADOWS = {
+    outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+    shadow: '2px 2px 3px rgba(0, 0, 0, 0.9)',
+    raised: '1px 1px 0 #000, 2px 2px 0 #000',
+    depressed: '-1px -1px 0 rgba(255, 255, 255, 0.5), 1px 1px 0 #000'
+};
+
+const CAPTION_FONT_FAMILIES = {
+    sans: 'ui-sans-serif, system-ui, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    mono: 'ui-monospace, "Courier New", monospace',
+    casual: '"Comic Sans MS", "Comic Neue", cursive'
+};
+
+const POSITION_STORAGE_PREFIX = 'videoPlayer.position.';
+
+/**
+ * Default resume storage. Custom adapters implement the same get / set /
+ * remove methods and may return promises.
+ */
+const LOCAL_POSITION_STORAGE = {
+    get(key) {
+        const value = localStorage.getItem(POSITION_STORAGE_PREFIX + key);
+        return value === null ? null : Number(value);
+    },
+    set(key, seconds) {
+        localStorage.setItem(POSITION_STORAGE_PREFIX + key, String(seconds));
+    },
+    remove(key) {
+        localStorage.removeItem(POSITION_STORAGE_PREFIX + key);
+    }
+};
+
+/** Message key per MediaError code */
+const MEDIA_ERROR_MESSAGE_KEYS = {
+    1: 'errorAborted',
+    2: 'errorNetwork',
+    3: 'errorDecode',
+    4: 'errorNotSupported'
+};
+
+/**
+ * Built-in interface strings per language. `{name}` placeholders are filled
+ * by VideoPlayer#t(); object values are plural forms keyed by
+ * Intl.PluralRules category and chosen with the `count` parameter.
+ * Missing keys fall back to English.
+ */
+const PLAYER_MESSAGES = {
+    en: {
+        infoText: 'This video starts with an ad. Click Skip after a few seconds or wait for the ad to finish.',
+        untitledVideo: 'Untitled Video',
+        noDescription: 'No description available',
+        untitledTrack: 'Untitled',
+        videoNotSupported: 'Your browser does not support the video tag.',
+        play: 'Play',
+        pause: 'Pause',
+        playVideo: 'Play video',
+        playing: 'Playing',
+        paused: 'Paused',
+        rewind: { one: 'Rewind {count} second', other: 'Rewind {count} seconds' },
+        forward: { one: 'Forward {count} second', other: 'Forward {count} seconds' },
+        seek: 'Seek',
+        seekPosition: '{current} of {duration}',
+        previousVideo: 'Previous video',
+        nextVideo: 'Next video',
+        captions: 'Subtitles/closed captions',
+        mute: 'Mute',
+        unmute: 'Unmute',
+        volume: 'Volume',
+        pictureInPicture: 'Picture-in-picture',
+        exitPictureInPicture: 'Exit picture-in-picture',
+        fullscreen: 'Full screen',
+        exitFullscreen: 'Exit full screen',
+        miniPlayerBack: 'Back to video',
+        miniPlayerClose: 'Close mini player',
+        settings: 'Settings',
+        speed: 'Speed',
+        speedNormal: 'Normal (1x)',
+        quality: 'Quality',
+        qualityAuto: 'Auto',
+        qualityAutoPlaying: 'Auto ({quality})',
+        subtitles: 'Subtitles',
+        subtitlesOff: 'Off',
+        captionStyle: 'Caption Style',
+        captionStyleReset: 'Reset to default',
+        captionFontSize: 'Font size',
+        captionTextColor: 'Text color',
+        captionBackground: 'Background',
+        captionEdge: 'Character edge',
+        captionFont: 'Font',
+        colorWhite: 'White',
+        colorYellow: 'Yellow',
+        colorCyan: 'Cyan',
+        colorGreen: 'Green',
+        edgeNone: 'None',
+        edgeOutline: 'Outline',
+        edgeShadow: 'Drop shadow',
+        edgeRaised: 'Raised',
+        edgeDepressed: 'Depressed',
+        fontSans: 'Sans',
+        fontSerif: 'Serif',
+        fontMono: 'Mono',
+        fontCasual: 'Casual',
+        advertisement: 'Advertisement',
+        ad: 'Ad',
+        adPosition: '{index} of {total}',
+        adPositionAnnouncement: 'Ad {index} of {total}',
+        adTimeRemaining: '{count}s',
+        skipAd: 'Skip ad',
+        skipAdButton: 'Skip Ad →',
+        skipIn: { one: 'Skip in {count} second', other: 'Skip in {count} seconds' },
+        skipAvailable: 'Skip ad available',
+        skipAvailableIn: { one: '{ad}, skip available in {count} second', other: '{ad}, skip available in {count} seconds' },
+        upNextIn: { one: 'Up next in {count} second', other: 'Up next in {count} seconds' },
+        playNow: 'Play now',
+        cancel: 'Cancel',
+        resumeFrom: 'Resume from {time}',
+        startOver: 'Start over',
+        tryAgain: 'Try again',
+        errorAborted: 'Playback was stopped before the video finished loading.',
+        errorNetwork: 'A network problem stopped the video from loading.',
+        errorDecode: 'The video could not be decoded. The file may be damaged.',
+        errorNotSupported: 'This video could not be found or its format is not supported.',
+        errorGeneric: 'The video could not be played.',
+        errorRetrying: {
+            one: '{message} Retrying in {count} second (attempt {attempt} of {maxAttempts})...',
+            other: '{message} Retrying in {count} seconds (attempt {attempt} of {maxAttempts})...'
+        },
+        speedAnnouncement: 'Speed {rate}x',
+        keyboardShortcuts: 'Keyboard shortcuts',
+        close: 'Close',
+        keySpace: 'Space',
+        shortcutTogglePlay: 'Play/pause',
+        shortcutSeekPercent: 'Jump to 0%–90% of the video',
+        shortcutSeekStart: 'Go to the start',
+        shortcutSeekEnd: 'Go to the end',
+        shortcutPreviousFrame: 'Previous frame',
+        shortcutNextFrame: 'Next frame',
+        shortcutSlower: 'Decrease speed',
+        shortcutFaster: 'Increase speed',
+        shortcutVolumeUp: 'Volume up',
+        shortcutVolumeDown: 'Volume down',
+        shortcutToggleMute: 'Mute/unmute',
+        shortcutToggleCaptions: 'Subtitles on/off',
+        shortcutToggleFullscreen: 'Full screen on/off',
+        shortcutHelp: 'Show keyboard shortcuts'
+    },
+    id: {
+        infoText: 'Video akan memutar iklan terlebih dahulu. Klik tombol Skip setelah beberapa detik atau tunggu hingga iklan selesai.',
+        untitledVideo: 'Video Tanpa Judul',
+        noDescription: 'Tidak ada deskripsi',
+        untitledTrack: 'Tanpa judul',
+        videoNotSupported: 'Browser Anda tidak mendukung tag video.',
+        play: 'Putar',
+        pause: 'Jeda',
+        playVideo: 'Putar video',
+        playing: 'Diputar',
+        paused: 'Dijeda',
+        rewind: 'Mundur {count} detik',
+        forward: 'Maju {count} detik',
+        seek: 'Posisi video',
+        seekPosition: '{current} dari {duration}',
+        previousVideo: 'Video sebelumnya',
+        nextVideo: 'Video berikutnya',
+        captions: 'Subtitel/teks tertutup',
+        mute: 'Bisukan',
+        unmute: 'Bunyikan',
+        volume: 'Volume',
+        pictureInPicture: 'Gambar-dalam-gambar',
+        exitPictureInPicture: 'Keluar dari gambar-dalam-gambar',
+        fullscreen: 'Layar penuh',
+        exitFullscreen: 'Keluar dari layar penuh',
+        miniPlayerBack: 'Kembali ke video',
+        miniPlayerClose: 'Tutup pemutar mini',
+        settings: 'Setelan',
+        speed: 'Kecepatan',
+        speedNormal: 'Normal (1x)',
+        quality: 'Kualitas',
+        qualityAuto: 'Otomatis',
+        qualityAutoPlaying: 'Otomatis ({quality})',
+        subtitles: 'Subtitel',
+        subtitlesOff: 'Nonaktif',
+        captionStyle: 'Gaya Subtitel',
+        captionStyleReset: 'Kembalikan ke default',
+        captionFontSize: 'Ukuran huruf',
+        captionTextColor: 'Warna teks',
+        captionBackground: 'Latar belakang',
+        captionEdge: 'Tepi karakter',
+        captionFont: 'Jenis huruf',
+        colorWhite: 'Putih',
+        colorYellow: 'Kuning',
+        colorCyan: 'Sian',
+        colorGreen: 'Hijau',
+        edgeNone: 'Tidak ada',
+        edgeOutline: 'Garis tepi',
+        edgeShadow: 'Bayangan',
+        edgeRaised: 'Timbul',
+        edgeDepressed: 'Cekung',
+        fontSans: 'Sans',
+        fontSerif: 'Serif',
+        fontMono: 'Mono',
+        fontCasual: 'Santai',
+        advertisement: 'Iklan',
+        ad: 'Iklan',
+        adPosition: '{index} dari {total}',
+        adPositionAnnouncement: 'Iklan {index} dari {total}',
+        adTimeRemaining: '{count} dtk',
+        skipAd: 'Lewati iklan',
+        skipAdButton: 'Lewati Iklan →',
+        skipIn: 'Lewati dalam {count} detik',
+        skipAvailable: 'Iklan dapat dilewati',
+        skipAvailableIn: '{ad}, dapat dilewati dalam {count} detik',
+        upNextIn: 'Berikutnya dalam {count} detik',
+        playNow: 'Putar sekarang',
+        cancel: 'Batal',
+        resumeFrom: 'Lanjutkan dari {time}',
+        startOver: 'Mulai dari awal',
+        tryAgain: 'Coba lagi',
+        errorAborted: 'Pemutaran dihentikan sebelum video selesai dimuat.',
+        errorNetwork: 'Masalah jaringan menghentikan pemuatan video.',
+        errorDecode: 'Video tidak dapat didekode. File mungkin rusak.',
+        errorNotSupported: 'Video ini tidak ditemukan atau formatnya tidak didukung.',
+        errorGeneric: 'Video tidak dapat diputar.',
+        errorRetrying: '{message} Mencoba lagi dalam {count} detik (percobaan {attempt} dari {maxAttempts})...',
+        speedAnnouncement: 'Kecepatan {rate}x',
+        keyboardShortcuts: 'Pintasan keyboard',
+        close: 'Tutup',
+        keySpace: 'Spasi',
+        shortcutTogglePlay: 'Putar/jeda',
+        shortcutSeekPercent: 'Lompat ke 0%–90% video',
+        shortcutSeekStart: 'Ke awal video',
+        shortcutSeekEnd: 'Ke akhir video',
+        shortcutPreviousFrame: 'Bingkai sebelumnya',
+        shortcutNextFrame: 'Bingkai berikutnya',
+        shortcutSlower: 'Kurangi kecepatan',
+        shortcutFaster: 'Tambah kecepatan',
+        shortcutVolumeUp: 'Naikkan volume',
+        shortcutVolumeDown: 'Turunkan volume',
+        shortcutToggleMute: 'Bisukan/bunyikan',
+        shortcutToggleCaptions: 'Subtitel aktif/nonaktif',
+        shortcutToggleFullscreen: 'Layar penuh aktif/nonaktif',
+        shortcutHelp: 'Tampilkan pintasan keyboard'
+    }
+};
+
+/** Languages written right to left; the player sets dir="rtl" for them */
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+/** dash.js error codes for failed downloads (manifest, segments, init data) */
+const DASH_NETWORK_ERROR_CODES = [10, 25, 26, 27, 28, 29];
+
+/** Control icons: SVG path data on a 24x24 viewBox, overridable with theme.icons */
+const PLAYER_ICONS = {
+    play: 'M8 5v14l11-7z',
+    pause: 'M6 4h4v16H6V4zm8 0h4v16h-4V4z',
+    skipBackward: 'M11.99 5V1l-5 5 5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6h-2c0 4.42 3.58 8 8 8s8-3.58 8-8-3.58-8-8-8z',
+    skipForward: 'M12 5V1l5 5-5 5V7c-3.31 0-6 2.69-6 6s2.69 6 6 6 6-2.69 6-6h2c0 4.42-3.58 8-8 8s-8-3.58-8-8 3.58-8 8-8z',
+    volume: 'M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02z',
+    mute: 'M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z',
+    captions: 'M19 4H5c-1.11 0-2 .9-2 2v12c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm-8 7H9.5v-.5h-2v3h2V13H11v1c0 .55-.45 1-1 1H7c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1zm7 0h-1.5v-.5h-2v3h2V13H18v1c0 .55-.45 1-1 1h-3c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1z',
+    settings: 'M19.14,12.94c0.04-0.3,0.06-0.61,0.06-0.94c0-0.32-0.02-0.64-0.07-0.94l2.03-1.58c0.18-0.14,0.23-0.41,0.12-0.61 l-1.92-3.32c-0.12-0.22-0.37-0.29-0.59-0.22l-2.39,0.96c-0.5-0.38-1.03-0.7-1.62-0.94L14.4,2.81c-0.04-0.24-0.24-0.41-0.48-0.41 h-3.84c-0.24,0-0.43,0.17-0.47,0.41L9.25,5.35C8.66,5.59,8.12,5.92,7.63,6.29L5.24,5.33c-0.22-0.08-0.47,0-0.59,0.22L2.74,8.87 C2.62,9.08,2.66,9.34,2.86,9.48l2.03,1.58C4.84,11.36,4.8,11.69,4.8,12s0.02,0.64,0.07,0.94l-2.03,1.58 c-0.18,0.14-0.23,0.41-0.12,0.61l1.92,3.32c0.12,0.22,0.37,0.29,0.59,0.22l2.39-0.96c0.5,0.38,1.03,0.7,1.62,0.94l0.36,2.54 c0.05,0.24,0.24,0.41,0.48,0.41h3.84c0.24,0,0.44-0.17,0.47-0.41l0.36-2.54c0.59-0.24,1.13-0.56,1.62-0.94l2.39,0.96 c0.22,0.08,0.47,0,0.59-0.22l1.92-3.32c0.12-0.22,0.07-0.47-0.12-0.61L19.14,12.94z M12,15.6c-1.98,0-3.6-1.62-3.6-3.6 s1.62-3.6,3.6-3.6s3.6,1.62,3.6,3.6S13.98,15.6,12,15.6z',
+    pictureInPicture: 'M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H3V4.97h18v14.05z',
+    fullscreen: 'M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z',
+    exitFullscreen: 'M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z',
+    previous: 'M6 6h2v12H6zm3.5 6l8.5 6V6z',
+    next: 'M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z',
+    miniPlayerExpand: 'M19 19H5V5h7V3H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14c1.1 0 2-.9 2-2v-7h-2v7zM14 3v2h3.59l-9.83 9.83 1.41 1.41L19 6.41V10h2V3h-7z',
+    close: 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z',
+    error: 'M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z'
+};
+
+/** Built-in skins; config.theme picks one by name and can override any value */
+const PLAYER_SKINS = {
+    default: {
+        accent: '#dc2626',
+        accentHover: '#b91c1c',
+        accentText: '#ffffff',
+        progressColor: null, // null = accent
+        controlBackground: 'rgba(0, 0, 0, 0.9)',
+        fontFamily: 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+        radius: '0.5rem'
+    },
+    minimal: {
+        accent: '#ffffff',
+        accentHover: '#e5e5e5',
+        accentText: '#111111',
+        progressColor: '#ffffff',
+        controlBackground: 'rgba(0, 0, 0, 0.55)',
+        fontFamily: '"Helvetica Neue", Helvetica, Arial, sans-serif',
+        radius: '0'
+    },
+    ocean: {
+        accent: '#0284c7',
+        accentHover: '#0369a1',
+        accentText: '#ffffff',
+        progressColor: '#38bdf8',
+        controlBackground: 'rgba(8, 47, 73, 0.9)',
+        fontFamily: 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+        radius: '1rem'
+    }
+};
+
+const PLAYER_ROOT_CLASS = 'vp-root';
+const PLAYER_STYLE_ELEMENT_ID = 'video-player-styles';
+
+/**
+ * Every utility class the player uses, scoped to `.vp-root` so the player
+ * looks the same with or without Tailwind on the page, plus the theme
+ * classes (`vp-*`) that read the CSS variables set by applyTheme().
+ */
+const PLAYER_STYLES = String.raw`
+:where(.vp-root), :where(.vp-root) *, :where(.vp-root) ::before, :where(.vp-root) ::after { box-sizing: border-box; border: 0 solid; --vp-translate-x: 0; --vp-scale: 1; }
+:where(.vp-root) { font-family: var(--vp-font); line-height: 1.5; -webkit-font-smoothing: antialiased; }
+:where(.vp-root) :is(h1, h2, p) { margin: 0; font-size: inherit; font-weight: inherit; }
+:where(.vp-root) :is(button, input) { font: inherit; color: inherit; line-height: inherit; margin: 0; padding: 0; background: transparent; text-transform: none; }
+:where(.vp-root) button { cursor: pointer; -webkit-appearance: button; }
+:where(.vp-root) button:disabled { cursor: default; }
+:where(.vp-root) :is(svg, video) { display: block; vertical-align: middle; }
+:where(.vp-root) video { max-width: 100%; height: auto; }
+
+.vp-root .flex { display: flex; }
+.vp-root .hidden { display: none; }
+.vp-root .sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border-width: 0; }
+
+.vp-root .relative { position: relative; }
+.vp-root .absolute { position: absolute; }
+.vp-root .fixed { position: fixed; }
+.vp-root .inset-0 { top: 0; right: 0; bottom: 0; left: 0; }
+.vp-root .top-0 { top: 0; }
+.vp-root .top-4 { top: 1rem; }
+.vp-root .top-12 { top: 3rem; }
+.vp-root .-top-1 { top: -0.25rem; }
+.vp-root .bottom-0 { bottom: 0; }
+.vp-root .bottom-6 { bottom: 1.5rem; }
+.vp-root .bottom-8 { bottom: 2rem; }
+.vp-root .bottom-24 { bottom: 6rem; }
+.vp-root .bottom-full { bottom: 100%; }
+.vp-root .left-0 { left: 0; }
+.vp-root .right-0 { right: 0; }
+.vp-root .start-4 { inset-inline-start: 1rem; }
+.vp-root .end-0 { inset-inline-end: 0; }
+.vp-root .end-4 { inset-inline-end: 1rem; }
+.vp-root .end-8 { inset-inline-end: 2rem; }
+.vp-root .z-50 { z-index: 50; }
+
+.vp-root .flex-1 { flex: 1 1 0%; }
+.vp-root .flex-col { flex-direction: column; }
+.vp-root .flex-wrap { flex-wrap: wrap; }
+.vp-root .items-center { align-items: center; }
+.vp-root .justify-center { justify-content: center; }
+.vp-root .justify-between { justify-content: space-between; }
+.vp-root .gap-1 { gap: 0.25rem; }
+.vp-root .space-x-2 > :not([hidden]) ~ :not([hidden]) { margin-inline-start: 0.5rem; }
+.vp-root .space-x-3 > :not([hidden]) ~ :not([hidden]) { margin-inline-start: 0.75rem; }
+.vp-root .space-x-4 > :not([hidden]) ~ :not([hidden]) { margin-inline-start: 1rem; }
+
+.vp-root .w-0\.5 { width: 0.125rem; }
+.vp-root .w-1 { width: 0.25rem; }
+.vp-root .w-3 { width: 0.75rem; }
+.vp-root .w-4 { width: 1rem; }
+.vp-root .w-5 { width: 1.25rem; }
+.vp-root .w-6 { width: 1.5rem; }
+.vp-root .w-7 { width: 1.75rem; }
+.vp-root .w-8 { width: 2rem; }
+.vp-root .w-10 { width: 2.5rem; }
+.vp-root .w-12 { width: 3rem; }
+.vp-root .w-20 { width: 5rem; }
+.vp-root .w-56 { width: 14rem; }
+.vp-root .w-64 { width: 16rem; }
+.vp-root .w-full { width: 100%; }
+.vp-root .max-w-xs { max-width: 20rem; }
+.vp-root .max-w-sm { max-width: 24rem; }
+.vp-root .max-w-md { max-width: 28rem; }
+.vp-root .max-h-full { max-height: 100%; }
+.vp-root .h-1 { height: 0.25rem; }
+.vp-root .h-3 { height: 0.75rem; }
+.vp-root .h-4 { height: 1rem; }
+.vp-root .h-5 { height: 1.25rem; }
+.vp-root .h-6 { height: 1.5rem; }
+.vp-root .h-7 { height: 1.75rem; }
+.vp-root .h-8 { height: 2rem; }
+.vp-root .h-10 { height: 2.5rem; }
+.vp-root .h-12 { height: 3rem; }
+.vp-root .h-full { height: 100%; }
+.vp-root .aspect-video { aspect-ratio: 16 / 9; }
+
+.vp-root .p-1 { padding: 0.25rem; }
+.vp-root .p-1\.5 { padding: 0.375rem; }
+.vp-root .p-2 { padding: 0.5rem; }
+.vp-root .p-3 { padding: 0.75rem; }
+.vp-root .p-4 { padding: 1rem; }
+.vp-root .px-2 { padding-left: 0.5rem; padding-right: 0.5rem; }
+.vp-root .px-3 { padding-left: 0.75rem; padding-right: 0.75rem; }
+.vp-root .px-4 { padding-left: 1rem; padding-right: 1rem; }
+.vp-root .px-5 { padding-left: 1.25rem; padding-right: 1.25rem; }
+.vp-root .px-6 { padding-left: 1.5rem; padding-right: 1.5rem; }
+.vp-root .px-8 { padding-left: 2rem; padding-right: 2rem; }
+.vp-root .py-1 { padding-top: 0.25rem; padding-bottom: 0.25rem; }
+.vp-root .py-1\.5 { padding-top: 0.375rem; padding-bottom: 0.375rem; }
+.vp-root .py-2 { padding-top: 0.5rem; padding-bottom: 0.5rem; }
+.vp-root .py-3 { padding-top: 0.75rem; padding-bottom: 0.75rem; }
+.vp-root .pt-2 { padding-top: 0.5rem; }
+.vp-root .pb-1 { padding-bottom: 0.25rem; }
+.vp-root .pb-2 { padding-bottom: 0.5rem; }
+.vp-root .pr-6 { padding-right: 1.5rem; }
+.vp-root .mt-2 { margin-top: 0.5rem; }
+.vp-root .mt-6 { margin-top: 1.5rem; }
+.vp-root .mb-1 { margin-bottom: 0.25rem; }
+.vp-root .mb-2 { margin-bottom: 0.5rem; }
+.vp-root .mb-3 { margin-bottom: 0.75rem; }
+.vp-root .mb-4 { margin-bottom: 1rem; }
+.vp-root .mb-6 { margin-bottom: 1.5rem; }
+.vp-root .me-2 { margin-inline-end: 0.5rem; }
+.vp-root .-ml-0\.5 { margin-left: -0.125rem; }
+.vp-root .-ml-1\.5 { margin-left: -0.375rem; }
+
+.vp-root .text-xs { font-size: 0.75rem; line-height: 1rem; }
+.vp-root .text-sm { font-size: 0.875rem; line-height: 1.25rem; }
+.vp-root .text-base { font-size: 1rem; line-height: 1.5rem; }
+.vp-root .text-3xl { font-size: 1.875rem; line-height: 2.25rem; }
+.vp-root .font-medium { font-weight: 500; }
+.vp-root .font-semibold { font-weight: 600; }
+.vp-root .font-bold { font-weight: 700; }
+.vp-root .leading-snug { line-height: 1.375; }
+.vp-root .leading-relaxed { line-height: 1.625; }
+.vp-root .text-start { text-align: start; }
+.vp-root .text-center { text-align: center; }
+.vp-root .truncate { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.vp-root .whitespace-nowrap { white-space: nowrap; }
+.vp-root .whitespace-pre-line { white-space: pre-line; }
+.vp-root .text-white { color: #ffffff; }
+.vp-root .text-black { color: #000000; }
+.vp-root .text-gray-200 { color: rgb(229 231 235); }
+.vp-root .text-gray-300 { color: rgb(209 213 219); }
+.vp-root .text-gray-400 { color: rgb(156 163 175); }
+
+.vp-root .bg-black { background-color: #000000; }
+.vp-root .bg-black\/40 { background-color: rgb(0 0 0 / 0.4); }
+.vp-root .bg-black\/60 { background-color: rgb(0 0 0 / 0.6); }
+.vp-root .bg-black\/70 { background-color: rgb(0 0 0 / 0.7); }
+.vp-root .bg-black\/80 { background-color: rgb(0 0 0 / 0.8); }
+.vp-root .bg-black\/85 { background-color: rgb(0 0 0 / 0.85); }
+.vp-root .bg-black\/98 { background-color: rgb(0 0 0 / 0.98); }
+.vp-root .bg-white { background-color: #ffffff; }
+.vp-root .bg-white\/10 { background-color: rgb(255 255 255 / 0.1); }
+.vp-root .bg-white\/20 { background-color: rgb(255 255 255 / 0.2); }
+.vp-root .bg-white\/30 { background-color: rgb(255 255 255 / 0.3); }
+.vp-root .bg-gray-600 { background-color: rgb(75 85 99); }
+.vp-root .bg-yellow-400 { background-color: rgb(250 204 21); }
+.vp-root .bg-yellow-500 { background-color: rgb(234 179 8); }
+.vp-root .bg-no-repeat { background-repeat: no-repeat; }
+.vp-root .bg-gradient-to-t { background-image: linear-gradient(to top, var(--vp-gradient-stops)); }
+.vp-root .bg-gradient-to-r { background-image: linear-gradient(to right, var(--vp-gradient-stops)); }
+.vp-root .from-black\/80 { --vp-gradient-from: rgb(0 0 0 / 0.8); --vp-gradient-to: rgb(0 0 0 / 0); --vp-gradient-stops: var(--vp-gradient-from), var(--vp-gradient-to); }
+.vp-root .via-transparent { --vp-gradient-to: rgb(0 0 0 / 0); --vp-gradient-stops: var(--vp-gradient-from), transparent, var(--vp-gradient-to); }
+.vp-root .to-transparent { --vp-gradient-to: transparent; }
+.vp-root .to-black\/50 { --vp-gradient-to: rgb(0 0 0 / 0.5); }
+
+.vp-root .border-2 { border-width: 2px; }
+.vp-root .border-t { border-top-width: 1px; }
+.vp-root .border-b { border-bottom-width: 1px; }
+.vp-root .border-b-2 { border-bottom-width: 2px; }
+.vp-root .border-transparent { border-color: transparent; }
+.vp-root .border-gray-700 { border-color: rgb(55 65 81); }
+.vp-root .border-white\/80 { border-color: rgb(255 255 255 / 0.8); }
+.vp-root .rounded { border-radius: 0.25rem; }
+.vp-root .rounded-full { border-radius: 9999px; }
+.vp-root .shadow-lg { box-shadow: 0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1); }
+.vp-root .shadow-2xl { box-shadow: 0 25px 50px -12px rgb(0 0 0 / 0.25); }
+.vp-root .overflow-hidden { overflow: hidden; }
+.vp-root .overflow-y-auto { overflow-y: auto; }
+.vp-root .opacity-0 { opacity: 0; }
+.vp-root .opacity-25 { opacity: 0.25; }
+.vp-root .opacity-50 { opacity: 0.5; }
+.vp-root .opacity-75 { opacity: 0.75; }
+.vp-root .opacity-100 { opacity: 1; }
+
+.vp-root .pointer-events-none { pointer-events: none; }
+.vp-root .pointer-events-auto { pointer-events: auto; }
+.vp-root .cursor-pointer { cursor: pointer; }
+.vp-root .touch-none { touch-action: none; }
+.vp-root .appearance-none { -webkit-appearance: none; appearance: none; }
+
+.vp-root .transition-all { transition-property: all; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms; }
+.vp-root .transition-colors { transition-property: color, background-color, border-color, fill, stroke; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms; }
+.vp-root .transition-opacity { transition-property: opacity; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms; }
+.vp-root .duration-300 { transition-duration: 300ms; }
+.vp-root .transform, .vp-root .-translate-x-1\/2 { transform: translateX(var(--vp-translate-x)) scale(var(--vp-scale)); }
+.vp-root .-translate-x-1\/2 { --vp-translate-x: -50%; }
+.vp-root .origin-top-left { transform-origin: top left; }
+.vp-root .animate-spin { animation: vp-spin 1s linear infinite; }
+@keyframes vp-spin { to { transform: rotate(360deg); } }
+
+.vp-root .hover\:bg-black\/80:hover { background-color: rgb(0 0 0 / 0.8); }
+.vp-root .hover\:bg-white\/10:hover { background-color: rgb(255 255 255 / 0.1); }
+.vp-root .hover\:bg-white\/20:hover { background-color: rgb(255 255 255 / 0.2); }
+.vp-root .hover\:bg-gray-200:hover { background-color: rgb(229 231 235); }
+.vp-root .hover\:scale-105:hover { --vp-scale: 1.05; }
+.vp-root .hover\:scale-110:hover { --vp-scale: 1.1; }
+.vp-root .group:hover .group-hover\:opacity-100 { opacity: 1; }
+.vp-root .disabled\:opacity-40:disabled { opacity: 0.4; }
+.vp-root .disabled\:pointer-events-none:disabled { pointer-events: none; }
+
+.vp-root .vp-rounded { border-radius: var(--vp-radius); }
+.vp-root .vp-progress { background-color: var(--vp-progress); }
+.vp-root .vp-control-bg { background-color: var(--vp-control-bg); }
+.vp-root .vp-controls-gradient { background-image: linear-gradient(to top, var(--vp-control-bg), transparent); }
+.vp-root .vp-accent-text { color: var(--vp-accent); }
+.vp-root .vp-accent-border { border-color: var(--vp-accent); }
+.vp-root .vp-accent-hover:hover { color: var(--vp-accent); }
+.vp-root .vp-accent-button { background-color: var(--vp-accent); color: var(--vp-accent-text); }
+.vp-root .vp-accent-button:hover { background-color: var(--vp-accent-hover); }
+.vp-root .vp-play-button { background-color: var(--vp-play-bg); color: var(--vp-play-text); }
+.vp-root .vp-play-button:hover { background-color: var(--vp-play-bg-hover); }
+.vp-root .vp-skip-button { background-color: var(--vp-skip-bg); color: var(--vp-skip-text); }
+.vp-root .vp-skip-button:hover { background-color: var(--vp-skip-bg-hover); }
+.vp-root input[type="range"] { accent-color: var(--vp-accent); }
+.vp-root .vp-focus-ring:focus { outline: none; }
+.vp-root .vp-focus-ring:focus-visible { box-shadow: inset 0 0 0 2px #ffffff; }
+.vp-root .vp-flip-rtl:dir(rtl) { transform: scaleX(-1); }
+
+@media (prefers-reduced-motion: reduce) {
+    .vp-root *, .vp-root ::before, .vp-root ::after { transition: none !important; animation: none !important; }
+    .vp-root .hover\:scale-105:hover, .vp-root .hover\:scale-110:hover { --vp-scale: 1; }
+}
+`;
+
+/** Playback rates offered in the Speed menu and stepped through with < and > */
+const PLAYBACK_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+/** Seconds skipped by the J / L shortcuts */
+const JUMP_SECONDS = 10;
+
+/** Seconds per frame step (browsers do not expose the frame rate, so 30 fps is assumed) */
+const FRAME_STEP_SECONDS = 1 / 30;
+
+/**
+ * Default keyboard shortcuts in help overlay order. Keys are KeyboardEvent.key
+ * values; `label` is a PLAYER_MESSAGES key. seekPercent jumps to 10% times
+ * the key's position in its list.
+ */
+const KEYBOARD_SHORTCUTS = {
+    togglePlay: { keys: [' ', 'k'], label: 'shortcutTogglePlay' },
+    seekBackward: { keys: ['ArrowLeft'], label: 'rewind' },
+    seekForward: { keys: ['ArrowRight'], label: 'forward' },
+    jumpBackward: { keys: ['j'], label: 'rewind' },
+    jumpForward: { keys: ['l'], label: 'forward' },
+    seekPercent: { keys: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'], label: 'shortcutSeekPercent' },
+    seekStart: { keys: ['Home'], label: 'shortcutSeekStart' },
+    seekEnd: { keys: ['End'], label: 'shortcutSeekEnd' },
+    previousFrame: { keys: [','], label: 'shortcutPreviousFrame' },
+    nextFrame: { keys: ['.'], label: 'shortcutNextFrame' },
+    slower: { keys: ['<'], label: 'shortcutSlower' },
+    faster: { keys: ['>'], label: 'shortcutFaster' },
+    volumeUp: { keys: ['ArrowUp'], label: 'shortcutVolumeUp' },
+    volumeDown: { keys: ['ArrowDown'], label: 'shortcutVolumeDown' },
+    toggleMute: { keys: ['m'], label: 'shortcutToggleMute' },
+    toggleCaptions: { keys: ['c'], label: 'shortcutToggleCaptions' },
+    toggleFullscreen: { keys: ['f'], label: 'shortcutToggleFullscreen' },
+    nextItem: { keys: ['N'], label: 'nextVideo' },
+    previousItem: { keys: ['P'], label: 'previousVideo' },
+    help: { keys: ['?'], label: 'shortcutHelp' }
+};
+
+/** Names shown in the help overlay for keys that are not printable */
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+};
+
+/** Keyboard focus ring for every interactive element (see PLAYER_STYLES) */
+const FOCUS_RING_CLASS = 'vp-focus-ring';
+
 class VideoPlayer {
+    /** Every live player on the page */
+    static instances = new Set();
+
+    /** Player that receives keyboard shortcuts (last one interacted with) */
+    static activePlayer = null;
+
     constructor(config) {
         // Validate config
         if (!config || !config.wrapperId) {
             throw new Error('VideoPlayer requires a wrapperId');
         }
 
+        // Interface language, resolved first because the defaults below are translated
+        this.i18n = this.resolveLocale(config.locale, config.messages, config.dir);
+
         // Default configuration
         this.config = {
             wrapperId: config.wrapperId,
-            mainVideo: {
-                url: config.mainVideo?.url || '',
-                title: config.mainVideo?.title || 'Untitled Video',
-                description: config.mainVideo?.description || 'No description available',
-                type: config.mainVideo?.type || 'video/mp4'
-            },
-            adVideo: {
-                url: config.adVideo?.url || '',
-                skipAfter: config.adVideo?.skipAfter || 5,
-                type: config.adVideo?.type || 'video/mp4'
-            },
-            thumbnailUrl: config.thumbnailUrl || config.mainVideo?.url || '',
+            locale: this.i18n.locale, // BCP 47 tag; 'en' and 'id' have built-in messages
+            dir: this.i18n.dir, // 'ltr' | 'rtl', detected from the locale unless set
+            mainVideo: this.normalizeMainVideo(config.mainVideo),
+            adVideo: this.normalizeAdPod(config.adVideo), // single ad or an array forming a pod
+            adSchedule: config.adSchedule || null, // [{ offset: 'pre' | 'post' | seconds | '50%', adVideo? }]
+            vastMaxWrapperDepth: config.vastMaxWrapperDepth || 5,
+            hlsConfig: config.hlsConfig || {}, // options passed to hls.js
+            dashConfig: config.dashConfig || {}, // settings passed to dash.js updateSettings()
+            captionStyle: config.captionStyle || {}, // default caption style, overridden by the viewer's saved choice
+            thumbnailUrl: config.thumbnailUrl || this.normalizeMainVideo(config.mainVideo).url,
             skipBackwardSeconds: config.skipBackwardSeconds || 10,
             skipForwardSeconds: config.skipForwardSeconds || 10,
             autoHideControlsDelay: config.autoHideControlsDelay || 3000,
+            adLoadTimeout: config.adLoadTimeout ?? 8000, // ms an ad may take to start (or recover from a stall) before it is skipped
+            stallTimeout: config.stallTimeout ?? 15000, // ms a stalled main video waits before it counts as a network error
+            retry: {
+                maxAttempts: config.retry?.maxAttempts ?? 3, // automatic retries after network errors
+                baseDelay: config.retry?.baseDelay ?? 1000 // first retry delay in ms, doubled each attempt
+            },
+            pauseOthers: config.pauseOthers || false, // pause the other players on the page when this one starts
+            // Dock the player to a corner when it scrolls out of view: true or { position, width, offset }
+            miniPlayer: config.miniPlayer ? {
+                position: config.miniPlayer.position || 'bottom-right', // 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+                width: config.miniPlayer.width || 360, // px
+                offset: config.miniPlayer.offset ?? 16 // px from the screen edges
+            } : null,
+            // Resume from the last position: true or { storage, skipPreroll, minPosition }
+            resume: config.resume ? {
+                storage: config.resume.storage || LOCAL_POSITION_STORAGE,
+                skipPreroll: config.resume.skipPreroll || false,
+                minPosition: config.resume.minPosition ?? 5 // seconds watched before a position is kept
+            } : null,
+            playlistOptions: {
+                autoplayNext: config.playlistOptions?.autoplayNext ?? true,
+                upNextSeconds: config.playlistOptions?.upNextSeconds ?? 5,
+                loop: config.playlistOptions?.loop || false,
+                prerollEvery: config.playlistOptions?.prerollEvery || 1 // pre-roll only on every Nth item
+            },
             section: config.section || null, // { title: '...', description: '...' }
-            infoText: config.infoText || 'Video akan memutar iklan terlebih dahulu. Klik tombol Skip setelah beberapa detik atau tunggu hingga iklan selesai.',
+            infoText: config.infoText || this.t('infoText'),
             adButtonColor: {
                 background: config.adButtonColor?.background || '#ffffff',
                 backgroundHover: config.adButtonColor?.backgroundHover || '#e5e7eb',
                 text: config.adButtonColor?.text || '#000000'
             },
+            // Unset play button colors follow the theme's accent
             playButtonColor: {
-                background: config.playButtonColor?.background || '#dc2626',
-                backgroundHover: config.playButtonColor?.backgroundHover || '#b91c1c',
-                text: config.playButtonColor?.text || '#ffffff'
-            }
+                background: config.playButtonColor?.background || null,
+                backgroundHover: config.playButtonColor?.backgroundHover || null,
+                text: config.playButtonColor?.text || null
+            },
+            keyboard: this.resolveKeyboard(config.keyboard), // { action: key | [keys] | false } rebinds shortcuts, false turns them off
+            theme: this.resolveTheme(config.theme) // skin name or { skin, accent, progressColor, controlBackground, fontFamily, radius, icons }
         };
 
+        // Playlist mode: each item brings its own mainVideo, ads and thumbnail;
+        // the top-level adVideo / adSchedule / thumbnailUrl are the fallbacks
+        this.playlist = config.playlist || []; // [{ mainVideo, adVideo?, adSchedule?, thumbnailUrl? }]
+        this.playlistIndex = 0;
+        this.playlistDefaults = {
+            adVideo: config.adVideo,
+            adSchedule: config.adSchedule || null,
+            thumbnailUrl: config.thumbnailUrl || null
+        };
+        if (this.playlist.length) this.applyPlaylistItem(0);
+
         // State variables
         this.adDuration = 0;
+        this.adBreaks = this.createAdBreaks();
+        this.activeAdBreak = null;
+        this.podIndex = 0;
+        this.currentAd = null;
+        this.resumeTime = null;
+        this.resumedFrom = null; // saved position resumed from, until earlier mid-rolls are marked played
+        this.chapters = [];
+        this.previewThumbnails = [];
+        this.textTracks = [];
+        this.activeTrackIndex = -1;
+        this.lastTrackIndex = 0;
+        this.hls = null;
+        this.dash = null;
+        this.qualityLevels = [];
+        this.currentQualityId = 'auto';
+        this.hasAutoQuality = true;
+        this.eventListeners = {};
+        this.domListeners = [];
+        this.destroyed = false;
+        this.adTracking = null;
+        this.firedAdEvents = new Set();
+        this.isAdPaused = false;
+        this.isAdMuted = false;
         this.hideControlsTimeout = null;
+        this.upNextTimer = null;
+        this.adWatchdog = null;
+        this.stallTimer = null;
+        this.retryTimer = null;
+        this.retryAttempts = 0;
+        this.errorTime = null;
+        this.positionKey = null;
+        this.resumePosition = null;
+        this.lastSavedPosition = 0;
         this.isUserInteracting = false;
         this.isSettingsOpen = false;
+        this.isScrubbing = false;
+        this.scrubPointerId = null;
+        this.isMiniPlayer = false;
+        this.isShortcutsHelpOpen = false;
+        this.shortcutKeys = new Map();
+        this.isSlotVisible = true;
+        this.miniPlayerDismissed = false;
+        this.miniPlayerObserver = null;
 
         // Initialize
         this.init();
     }
 
+    /**
+     * Fill in defaults for the main video config
+     */
+    normalizeMainVideo(mainVideo) {
+        // Progressive renditions: [{ url, type, label: '720p', bitrate, default? }]
+        const sources = (mainVideo?.sources || []).map(source => ({
+            url: source.url,
+            type: source.type || mainVideo?.type || 'video/mp4',
+            label: source.label || '',
+            bitrate: source.bitrate || 0,
+            default: !!source.default
+        }));
+        const initialSource = sources.find(source => source.default) || sources[0];
+
+        return {
+            id: mainVideo?.id || null, // key for the saved resume position (defaults to the URL)
+            url: mainVideo?.url || initialSource?.url || '',
+            title: mainVideo?.title || this.t('untitledVideo'),
+            description: mainVideo?.description || this.t('noDescription'),
+            type: mainVideo?.type || initialSource?.type || 'video/mp4',
+            sources: sources,
+            chapters: mainVideo?.chapters || null, // [{ start, title }] or WebVTT chapters URL
+            previewThumbnails: mainVideo?.previewThumbnails || null, // WebVTT storyboard URL (sprite #xywh= cues)
+            // Text tracks: [{ src, srclang, label, kind: 'subtitles' | 'captions', default? }] (WebVTT or SRT)
+            tracks: (mainVideo?.tracks || []).map(track => ({
+                src: track.src,
+                srclang: track.srclang || '',
+                label: track.label || track.srclang || this.t('untitledTrack'),
+                kind: track.kind || 'subtitles',
+                default: !!track.default
+            }))
+        };
+    }
+
+    /**
+     * Fill in defaults for an ad video config
+     */
+    normalizeAdVideo(adVideo) {
+        return {
+            url: adVideo?.url || '',
+            vastUrl: adVideo?.vastUrl || '',
+            vastXml: adVideo?.vastXml || '',
+            skipAfter: adVideo?.skipAfter ?? 5,
+            type: adVideo?.type || 'video/mp4',
+            duration: adVideo?.duration || null
+        };
+    }
+
+    /**
+     * Normalize an ad config or an array of ad configs into a pod (array)
+     */
+    normalizeAdPod(adVideo) {
+        const ads = Array.isArray(adVideo) ? adVideo : [adVideo];
+        return ads.map(ad => this.normalizeAdVideo(ad));
+    }
+
+    /**
+     * Build the ad breaks from config.adSchedule. Without a schedule, a
+     * configured adVideo plays as a single pre-roll.
+     * Every break gets its own copy of the ad configs so VAST tags are
+     * requested once per break. `pod` holds the playable ads once resolved.
+     */
+    createAdBreaks() {
+        const hasDefaultAd = this.config.adVideo.some(ad => ad.url || ad.vastUrl || ad.vastXml);
+        let schedule = this.config.adSchedule || (hasDefaultAd ? [{ offset: 'pre' }] : []);
+
+        // Playlist rule: only every Nth item gets its pre-roll
+        if (this.playlist.length && this.playlistIndex % this.config.playlistOptions.prerollEvery !== 0) {
+            schedule = schedule.filter(entry => entry.offset !== 'pre');
+        }
+
+        return schedule.map(entry => ({
+            offset: entry.offset,
+            ads: entry.adVideo ? this.normalizeAdPod(entry.adVideo) : this.config.adVideo.map(ad => ({ ...ad })),
+            pod: [],
+            time: typeof entry.offset === 'number' ? entry.offset : null,
+            played: false,
+            request: null
+        }));
+    }
+
     init() {
         // Get wrapper element
         this.wrapper = document.getElementById(this.config.wrapperId);
@@ -83,16 +882,44 @@ class VideoPlayer {
             throw new Error(`Wrapper with id "${this.config.wrapperId}" not found`);
         }
 
+        // Keep the wrapper's own markup so destroy() can put it back
+        this.originalWrapperContent = Array.from(this.wrapper.childNodes);
+
+        // Player styles and theme variables (no Tailwind needed on the page)
+        VideoPlayer.injectStyles();
+        this.applyTheme();
+
         // Create player structure dynamically
         this.createPlayerStructure();
 
         // Get all elements
         this.getElements();
 
+        // The first player on the page gets the keyboard until another one is used
+        VideoPlayer.instances.add(this);
+        VideoPlayer.activePlayer ||= this;
+        this.renderQualityOptions();
+
         // Set video sources and info
         this.setVideoSources();
         this.setVideoInfo();
 
+        // Resolve the pre-roll in the background (ad slot waits for it on play)
+        this.preloadPreroll();
+
+        // Load chapters (config array or WebVTT file)
+        this.loadChapters();
+
+        // Storyboard frames for the seek bar preview
+        this.loadPreviewThumbnails();
+
+        // Offer to resume from the saved position
+        this.loadSavedPosition();
+
+        // Set up subtitles / captions
+        this.setupTextTracks();
+        this.updatePlaylistControls();
+
         // Bind event listeners
         this.bindAdEvents();
         this.bindMainVideoEvents();
@@ -101,6 +928,137 @@ class VideoPlayer {
         this.bindKeyboardEvents();
     }
 
+    // ============ THEME ============
+
+    /**
+     * Add PLAYER_STYLES to the page once, shared by every player
+     */
+    static injectStyles() {
+        if (document.getElementById(PLAYER_STYLE_ELEMENT_ID)) return;
+
+        const style = document.createElement('style');
+        style.id = PLAYER_STYLE_ELEMENT_ID;
+        style.textContent = PLAYER_STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Merge a skin with the theme's own values. `theme` is a skin name or
+     * { skin, accent, accentHover, accentText, progressColor, controlBackground, fontFamily, radius, icons }.
+     */
+    resolveTheme(theme) {
+        const { skin: skinName = 'default', icons, ...options } = typeof theme === 'string' ? { skin: theme } : (theme || {});
+        let skin = PLAYER_SKINS[skinName];
+        if (!skin) {
+            console.warn(`Unknown theme skin "${skinName}", using "default"`);
+            skin = PLAYER_SKINS.default;
+        }
+
+        const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+
+        // A custom accent should not keep the skin's hover color
+        if (overrides.accent && !overrides.accentHover) overrides.accentHover = overrides.accent;
+
+        return {
+            ...skin,
+            ...overrides,
+            skin: PLAYER_SKINS[skinName] ? skinName : 'default',
+            icons: { ...PLAYER_ICONS, ...icons }
+        };
+    }
+
+    getThemeVariables() {
+        const theme = this.config.theme;
+        const play = this.config.playButtonColor;
+        const skip = this.config.adButtonColor;
+
+        return {
+            '--vp-accent': theme.accent,
+            '--vp-accent-hover': theme.accentHover,
+            '--vp-accent-text': theme.accentText,
+            '--vp-progress': theme.progressColor || theme.accent,
+            '--vp-control-bg': theme.controlBackground,
+            '--vp-font': theme.fontFamily,
+            '--vp-radius': theme.radius,
+            '--vp-play-bg': play.background || theme.accent,
+            '--vp-play-bg-hover': play.backgroundHover || theme.accentHover,
+            '--vp-play-text': play.text || theme.accentText,
+            '--vp-skip-bg': skip.background,
+            '--vp-skip-bg-hover': skip.backgroundHover,
+            '--vp-skip-text': skip.text
+        };
+    }
+
+    /**
+     * Scope PLAYER_STYLES to the wrapper and set the theme's CSS variables
+     */
+    applyTheme() {
+        this.wrapper.classList.add(PLAYER_ROOT_CLASS);
+        Object.entries(this.getThemeVariables()).forEach(([name, value]) => {
+            this.wrapper.style.setProperty(name, value);
+        });
+    }
+
+    /**
+     * SVG icon from the theme's icon set
+     */
+    createIcon(name, className) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', className);
+        svg.setAttribute('fill', 'currentColor');
+        svg.setAttribute('viewBox', '0 0 24 24');
+        svg.setAttribute('data-icon', name);
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', this.config.theme.icons[name] || PLAYER_ICONS[name]);
+        svg.appendChild(path);
+
+        return svg;
+    }
+
+    // ============ LOCALIZATION ============
+
+    /**
+     * Pick the messages, plural rules and text direction for a locale.
+     * `messages` overrides individual strings; unknown keys fall back to English.
+     */
+    resolveLocale(locale = 'en', messages = {}, dir = null) {
+        let tag = 'en';
+        try {
+            tag = Intl.getCanonicalLocales(locale)[0] || 'en';
+        } catch (error) {
+            console.warn(`Invalid locale "${locale}", using English:`, error.message);
+        }
+
+        const language = tag.split('-')[0].toLowerCase();
+        return {
+            locale: tag,
+            dir: dir || (RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr'),
+            messages: { ...PLAYER_MESSAGES.en, ...PLAYER_MESSAGES[language], ...messages },
+            pluralRules: new Intl.PluralRules(tag),
+            numberFormat: new Intl.NumberFormat(tag, { useGrouping: false }),
+            twoDigitFormat: new Intl.NumberFormat(tag, { minimumIntegerDigits: 2, useGrouping: false })
+        };
+    }
+
+    /**
+     * Translate a message key. `{name}` placeholders are replaced from
+     * `params` (numbers in the locale's digits); plural messages use the
+     * form for `params.count`.
+     */
+    t(key, params = {}) {
+        let message = this.i18n.messages[key] ?? key;
+        if (typeof message === 'object') {
+            message = message[this.i18n.pluralRules.select(params.count ?? 0)] ?? message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' ? this.i18n.numberFormat.format(value) : value;
+        });
+    }
+
     /**
      * Create the entire player structure dynamically using createElement
      */
@@ -132,8 +1090,9 @@ class VideoPlayer {
 
         // Create main container
         const container = document.createElement('div');
-        container.id = 'video-player-container';
-        container.className = 'relative bg-black rounded-lg overflow-hidden shadow-2xl';
+        container.id = this.elementId('video-player-container');
+        container.className = 'relative bg-black vp-rounded overflow-hidden shadow-2xl';
+        container.setAttribute('tabindex', '-1'); // clicks focus the player, so its shortcuts apply
 
         // Create thumbnail video
         container.appendChild(this.createThumbnailVideo());
@@ -153,7 +1112,31 @@ class VideoPlayer {
         // Create play overlay
         container.appendChild(this.createPlayOverlay());
 
-        this.wrapper.appendChild(container);
+        // Create error panel
+        container.appendChild(this.createErrorPanel());
+
+        // Keyboard shortcut help ("?")
+        if (this.config.keyboard) container.appendChild(this.createShortcutsOverlay());
+
+        // Screen reader announcements (ads, play/pause)
+        const announcer = document.createElement('div');
+        announcer.id = this.elementId('announcer');
+        announcer.className = 'sr-only';
+        announcer.setAttribute('role', 'status');
+        announcer.setAttribute('aria-live', 'polite');
+        announcer.setAttribute('aria-atomic', 'true');
+        container.appendChild(announcer);
+
+        // Mini-player bar (only shown while docked)
+        container.appendChild(this.createMiniPlayerBar());
+
+        this.applyAccessibilityClasses(container);
+
+        // The slot keeps the player's place in the page while it is docked
+        const slot = document.createElement('div');
+        slot.id = this.elementId('playerSlot');
+        slot.appendChild(container);
+        this.wrapper.appendChild(slot);
 
         // Create info text section (conditional)
         if (this.config.infoText) {
@@ -161,17 +1144,24 @@ class VideoPlayer {
             infoSection.className = 'mt-6 text-center text-gray-400 text-sm';
 
             const infoText = document.createElement('p');
-            infoText.id = 'infoText';
+            infoText.id = this.elementId('infoText');
             infoText.textContent = this.config.infoText;
 
             infoSection.appendChild(infoText);
             this.wrapper.appendChild(infoSection);
         }
+
+        // Interface language and text direction for everything the player renders
+        Array.from(this.wrapper.children).forEach(element => {
+            element.lang = this.config.locale;
+            element.dir = this.config.dir;
+        });
     }
 
     createThumbnailVideo() {
         const video = document.createElement('video');
-        video.id = 'thumbnailVideo';
+        video.id = this.elementId('thumbnailVideo');
+        video.setAttribute('aria-hidden', 'true');
         video.className = 'w-full aspect-video';
         video.setAttribute('playsinline', '');
 
@@ -179,7 +1169,7 @@ class VideoPlayer {
         source.type = 'video/mp4';
         video.appendChild(source);
 
-        const fallbackText = document.createTextNode('Your browser does not support the video tag.');
+        const fallbackText = document.createTextNode(this.t('videoNotSupported'));
         video.appendChild(fallbackText);
 
         return video;
@@ -187,7 +1177,9 @@ class VideoPlayer {
 
     createAdVideo() {
         const video = document.createElement('video');
-        video.id = 'adVideo';
+        video.id = this.elementId('adVideo');
+        video.disablePictureInPicture = true;
+        video.setAttribute('aria-label', this.t('advertisement'));
         video.className = 'w-full aspect-video hidden';
         video.setAttribute('playsinline', '');
 
@@ -195,7 +1187,7 @@ class VideoPlayer {
         source.type = 'video/mp4';
         video.appendChild(source);
 
-        const fallbackText = document.createTextNode('Your browser does not support the video tag.');
+        const fallbackText = document.createTextNode(this.t('videoNotSupported'));
         video.appendChild(fallbackText);
 
         return video;
@@ -203,7 +1195,7 @@ class VideoPlayer {
 
     createMainVideo() {
         const video = document.createElement('video');
-        video.id = 'mainVideo';
+        video.id = this.elementId('mainVideo');
         video.className = 'w-full aspect-video hidden';
         video.setAttribute('playsinline', '');
 
@@ -211,7 +1203,7 @@ class VideoPlayer {
         source.type = 'video/mp4';
         video.appendChild(source);
 
-        const fallbackText = document.createTextNode('Your browser does not support the video tag.');
+        const fallbackText = document.createTextNode(this.t('videoNotSupported'));
         video.appendChild(fallbackText);
 
         return video;
@@ -219,21 +1211,21 @@ class VideoPlayer {
 
     createMainVideoControls() {
         const controls = document.createElement('div');
-        controls.id = 'mainVideoControls';
+        controls.id = this.elementId('mainVideoControls');
         controls.className = 'hidden';
 
         // Video info (top left)
         const videoInfo = document.createElement('div');
-        videoInfo.id = 'videoInfo';
-        videoInfo.className = 'absolute top-4 left-4 max-w-sm bg-gradient-to-r from-black/80 to-transparent p-3 pr-6 rounded-lg opacity-0 transition-opacity duration-300';
+        videoInfo.id = this.elementId('videoInfo');
+        videoInfo.className = 'absolute top-4 start-4 max-w-sm bg-gradient-to-r from-black/80 to-transparent p-3 pr-6 vp-rounded opacity-0 transition-opacity duration-300';
 
         const videoTitle = document.createElement('h2');
-        videoTitle.id = 'videoTitle';
+        videoTitle.id = this.elementId('videoTitle');
         videoTitle.className = 'text-white text-base font-bold mb-1';
         videoInfo.appendChild(videoTitle);
 
         const videoDescription = document.createElement('p');
-        videoDescription.id = 'videoDescription';
+        videoDescription.id = this.elementId('videoDescription');
         videoDescription.className = 'text-gray-300 text-xs leading-relaxed';
         videoInfo.appendChild(videoDescription);
 
@@ -242,6 +1234,12 @@ class VideoPlayer {
         // Settings button (top right)
         controls.appendChild(this.createSettingsContainer());
 
+        // Caption overlay
+        controls.appendChild(this.createCaptionOverlay());
+
+        // Playlist "Up next" card
+        controls.appendChild(this.createUpNextCard());
+
         // Loading spinner
         controls.appendChild(this.createLoadingSpinner());
 
@@ -256,15 +1254,16 @@ class VideoPlayer {
 
     createSettingsContainer() {
         const container = document.createElement('div');
-        container.id = 'settingsContainer';
-        container.className = 'absolute top-4 right-4 opacity-0 transition-opacity duration-300';
+        container.id = this.elementId('settingsContainer');
+        container.className = 'absolute top-4 end-4 opacity-0 transition-opacity duration-300';
 
         const settingsBtn = document.createElement('button');
-        settingsBtn.id = 'settingsBtn';
+        settingsBtn.id = this.elementId('settingsBtn');
+        settingsBtn.setAttribute('aria-label', this.t('settings'));
+        settingsBtn.setAttribute('aria-haspopup', 'menu');
+        settingsBtn.setAttribute('aria-expanded', 'false');
         settingsBtn.className = 'bg-black/60 hover:bg-black/80 text-white rounded-full p-2 transition-all';
-        settingsBtn.innerHTML = `<svg class="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-            <path d="M19.14,12.94c0.04-0.3,0.06-0.61,0.06-0.94c0-0.32-0.02-0.64-0.07-0.94l2.03-1.58c0.18-0.14,0.23-0.41,0.12-0.61 l-1.92-3.32c-0.12-0.22-0.37-0.29-0.59-0.22l-2.39,0.96c-0.5-0.38-1.03-0.7-1.62-0.94L14.4,2.81c-0.04-0.24-0.24-0.41-0.48-0.41 h-3.84c-0.24,0-0.43,0.17-0.47,0.41L9.25,5.35C8.66,5.59,8.12,5.92,7.63,6.29L5.24,5.33c-0.22-0.08-0.47,0-0.59,0.22L2.74,8.87 C2.62,9.08,2.66,9.34,2.86,9.48l2.03,1.58C4.84,11.36,4.8,11.69,4.8,12s0.02,0.64,0.07,0.94l-2.03,1.58 c-0.18,0.14-0.23,0.41-0.12,0.61l1.92,3.32c0.12,0.22,0.37,0.29,0.59,0.22l2.39-0.96c0.5,0.38,1.03,0.7,1.62,0.94l0.36,2.54 c0.05,0.24,0.24,0.41,0.48,0.41h3.84c0.24,0,0.44-0.17,0.47-0.41l0.36-2.54c0.59-0.24,1.13-0.56,1.62-0.94l2.39,0.96 c0.22,0.08,0.47,0,0.59-0.22l1.92-3.32c0.12-0.22,0.07-0.47-0.12-0.61L19.14,12.94z M12,15.6c-1.98,0-3.6-1.62-3.6-3.6 s1.62-3.6,3.6-3.6s3.6,1.62,3.6,3.6S13.98,15.6,12,15.6z"/>
-        </svg>`;
+        settingsBtn.appendChild(this.createIcon('settings', 'w-6 h-6'));
 
         const settingsMenu = this.createSettingsMenu();
 
@@ -276,42 +1275,48 @@ class VideoPlayer {
 
     createSettingsMenu() {
         const menu = document.createElement('div');
-        menu.id = 'settingsMenu';
-        menu.className = 'hidden absolute top-12 right-0 bg-black/95 text-white rounded-lg shadow-2xl overflow-hidden w-56';
+        menu.id = this.elementId('settingsMenu');
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', this.t('settings'));
+        menu.className = 'hidden absolute top-12 end-0 vp-control-bg text-white vp-rounded shadow-2xl overflow-hidden w-56';
 
         // Speed settings
         const speedSection = document.createElement('div');
         speedSection.className = 'border-b border-gray-700';
 
         const speedMenuBtn = document.createElement('button');
-        speedMenuBtn.id = 'speedMenuBtn';
+        speedMenuBtn.id = this.elementId('speedMenuBtn');
+        speedMenuBtn.setAttribute('role', 'menuitem');
+        speedMenuBtn.setAttribute('aria-haspopup', 'true');
+        speedMenuBtn.setAttribute('aria-expanded', 'false');
         speedMenuBtn.className = 'w-full px-4 py-3 hover:bg-white/10 transition-colors flex items-center justify-between';
         speedMenuBtn.innerHTML = `
-            <span class="font-semibold">Speed</span>
+            <span class="font-semibold">${this.t('speed')}</span>
             <div class="flex items-center">
-                <span id="currentSpeed" class="text-sm text-gray-300 mr-2">1x</span>
-                <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                <span id="${this.elementId('currentSpeed')}" class="text-sm text-gray-300 me-2">1x</span>
+                <svg class="w-4 h-4 vp-flip-rtl" fill="currentColor" viewBox="0 0 24 24">
                     <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
                 </svg>
             </div>
         `;
 
         const speedSubmenu = document.createElement('div');
-        speedSubmenu.id = 'speedSubmenu';
+        speedSubmenu.id = this.elementId('speedSubmenu');
+        speedSubmenu.setAttribute('role', 'group');
+        speedSubmenu.setAttribute('aria-label', this.t('speed'));
         speedSubmenu.className = 'hidden bg-black/98';
 
-        const speeds = [
-            { value: '0.5', label: '0.5x' },
-            { value: '0.75', label: '0.75x' },
-            { value: '1', label: 'Normal (1x)', selected: true },
-            { value: '1.25', label: '1.25x' },
-            { value: '1.5', label: '1.5x' },
-            { value: '2', label: '2x' }
-        ];
+        const speeds = PLAYBACK_SPEEDS.map(speed => ({
+            value: String(speed),
+            label: speed === 1 ? this.t('speedNormal') : `${speed}x`,
+            selected: speed === 1
+        }));
 
         speeds.forEach(speed => {
             const btn = document.createElement('button');
-            btn.className = `speed-option w-full px-6 py-2 hover:bg-white/10 transition-colors text-left text-sm${speed.selected ? ' bg-white/20' : ''}`;
+            btn.className = `speed-option w-full px-6 py-2 hover:bg-white/10 transition-colors text-start text-sm${speed.selected ? ' bg-white/20' : ''}`;
+            btn.setAttribute('role', 'menuitemradio');
+            btn.setAttribute('aria-checked', String(!!speed.selected));
             btn.setAttribute('data-speed', speed.value);
             btn.textContent = speed.label;
             speedSubmenu.appendChild(btn);
@@ -324,50 +1329,143 @@ class VideoPlayer {
         const qualitySection = document.createElement('div');
 
         const qualityMenuBtn = document.createElement('button');
-        qualityMenuBtn.id = 'qualityMenuBtn';
+        qualityMenuBtn.id = this.elementId('qualityMenuBtn');
+        qualityMenuBtn.setAttribute('role', 'menuitem');
+        qualityMenuBtn.setAttribute('aria-haspopup', 'true');
+        qualityMenuBtn.setAttribute('aria-expanded', 'false');
         qualityMenuBtn.className = 'w-full px-4 py-3 hover:bg-white/10 transition-colors flex items-center justify-between';
         qualityMenuBtn.innerHTML = `
-            <span class="font-semibold">Quality</span>
+            <span class="font-semibold">${this.t('quality')}</span>
             <div class="flex items-center">
-                <span id="currentQuality" class="text-sm text-gray-300 mr-2">Auto</span>
-                <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                <span id="${this.elementId('currentQuality')}" class="text-sm text-gray-300 me-2">${this.t('qualityAuto')}</span>
+                <svg class="w-4 h-4 vp-flip-rtl" fill="currentColor" viewBox="0 0 24 24">
                     <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
                 </svg>
             </div>
         `;
 
+        // Quality options are rendered from the source's renditions (renderQualityOptions)
         const qualitySubmenu = document.createElement('div');
-        qualitySubmenu.id = 'qualitySubmenu';
+        qualitySubmenu.id = this.elementId('qualitySubmenu');
+        qualitySubmenu.setAttribute('role', 'group');
+        qualitySubmenu.setAttribute('aria-label', this.t('quality'));
         qualitySubmenu.className = 'hidden bg-black/98';
 
-        const qualities = [
-            { value: 'auto', label: 'Auto', selected: true },
-            { value: '1080p', label: '1080p' },
-            { value: '720p', label: '720p' },
-            { value: '480p', label: '480p' },
-            { value: '360p', label: '360p' }
-        ];
-
-        qualities.forEach(quality => {
-            const btn = document.createElement('button');
-            btn.className = `quality-option w-full px-6 py-2 hover:bg-white/10 transition-colors text-left text-sm${quality.selected ? ' bg-white/20' : ''}`;
-            btn.setAttribute('data-quality', quality.value);
-            btn.textContent = quality.label;
-            qualitySubmenu.appendChild(btn);
-        });
-
         qualitySection.appendChild(qualityMenuBtn);
         qualitySection.appendChild(qualitySubmenu);
 
+        // Subtitles settings (hidden when the video has no text tracks)
+        const subtitlesSection = document.createElement('div');
+        subtitlesSection.id = this.elementId('subtitlesSection');
+        subtitlesSection.className = 'border-t border-gray-700 hidden';
+
+        const subtitlesMenuBtn = document.createElement('button');
+        subtitlesMenuBtn.id = this.elementId('subtitlesMenuBtn');
+        subtitlesMenuBtn.setAttribute('role', 'menuitem');
+        subtitlesMenuBtn.setAttribute('aria-haspopup', 'true');
+        subtitlesMenuBtn.setAttribute('aria-expanded', 'false');
+        subtitlesMenuBtn.className = 'w-full px-4 py-3 hover:bg-white/10 transition-colors flex items-center justify-between';
+        subtitlesMenuBtn.innerHTML = `
+            <span class="font-semibold">${this.t('subtitles')}</span>
+            <div class="flex items-center">
+                <span id="${this.elementId('currentSubtitles')}" class="text-sm text-gray-300 me-2">${this.t('subtitlesOff')}</span>
+                <svg class="w-4 h-4 vp-flip-rtl" fill="currentColor" viewBox="0 0 24 24">
+                    <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
+                </svg>
+            </div>
+        `;
+
+        // Subtitle options are rendered from mainVideo.tracks (renderSubtitleOptions)
+        const subtitlesSubmenu = document.createElement('div');
+        subtitlesSubmenu.id = this.elementId('subtitlesSubmenu');
+        subtitlesSubmenu.setAttribute('role', 'group');
+        subtitlesSubmenu.setAttribute('aria-label', this.t('subtitles'));
+        subtitlesSubmenu.className = 'hidden bg-black/98';
+
+        // Caption style (font size, color, background, edge, font)
+        const captionStyleMenuBtn = document.createElement('button');
+        captionStyleMenuBtn.id = this.elementId('captionStyleMenuBtn');
+        captionStyleMenuBtn.setAttribute('role', 'menuitem');
+        captionStyleMenuBtn.setAttribute('aria-haspopup', 'true');
+        captionStyleMenuBtn.setAttribute('aria-expanded', 'false');
+        captionStyleMenuBtn.className = 'w-full px-4 py-3 hover:bg-white/10 transition-colors flex items-center justify-between';
+        captionStyleMenuBtn.innerHTML = `
+            <span class="font-semibold">${this.t('captionStyle')}</span>
+            <svg class="w-4 h-4 vp-flip-rtl" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
+            </svg>
+        `;
+
+        // Style options are rendered from CAPTION_STYLE_OPTIONS (renderCaptionStyleOptions)
+        const captionStyleSubmenu = document.createElement('div');
+        captionStyleSubmenu.id = this.elementId('captionStyleSubmenu');
+        captionStyleSubmenu.setAttribute('role', 'group');
+        captionStyleSubmenu.setAttribute('aria-label', this.t('captionStyle'));
+        captionStyleSubmenu.className = 'hidden bg-black/98 pb-2';
+
+        subtitlesSection.appendChild(subtitlesMenuBtn);
+        subtitlesSection.appendChild(subtitlesSubmenu);
+        subtitlesSection.appendChild(captionStyleMenuBtn);
+        subtitlesSection.appendChild(captionStyleSubmenu);
+
         menu.appendChild(speedSection);
         menu.appendChild(qualitySection);
+        menu.appendChild(subtitlesSection);
 
         return menu;
     }
 
+    createCaptionOverlay() {
+        const overlay = document.createElement('div');
+        overlay.id = this.elementId('captionOverlay');
+        overlay.className = 'absolute left-0 right-0 bottom-6 flex justify-center px-8 pointer-events-none transition-all duration-300';
+
+        const captionText = document.createElement('div');
+        captionText.id = this.elementId('captionText');
+        captionText.className = 'text-center leading-snug px-3 py-1 rounded whitespace-pre-line hidden';
+
+        overlay.appendChild(captionText);
+        return overlay;
+    }
+
+    createUpNextCard() {
+        const card = document.createElement('div');
+        card.id = this.elementId('upNextCard');
+        card.className = 'absolute bottom-24 end-4 w-64 vp-control-bg text-white vp-rounded shadow-2xl p-4 hidden';
+
+        const heading = document.createElement('p');
+        heading.id = this.elementId('upNextCountdown');
+        heading.className = 'text-xs text-gray-400 mb-1';
+
+        const title = document.createElement('p');
+        title.id = this.elementId('upNextTitle');
+        title.className = 'font-semibold text-sm truncate mb-3';
+
+        const actions = document.createElement('div');
+        actions.className = 'flex space-x-2';
+
+        const playNowBtn = document.createElement('button');
+        playNowBtn.id = this.elementId('upNextPlayBtn');
+        playNowBtn.className = 'flex-1 px-3 py-1.5 rounded vp-accent-button text-sm font-semibold transition-colors';
+        playNowBtn.textContent = this.t('playNow');
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.id = this.elementId('upNextCancelBtn');
+        cancelBtn.className = 'flex-1 px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-sm transition-colors';
+        cancelBtn.textContent = this.t('cancel');
+
+        actions.appendChild(playNowBtn);
+        actions.appendChild(cancelBtn);
+        card.appendChild(heading);
+        card.appendChild(title);
+        card.appendChild(actions);
+
+        return card;
+    }
+
     createLoadingSpinner() {
         const spinner = document.createElement('div');
-        spinner.id = 'loadingSpinner';
+        spinner.id = this.elementId('loadingSpinner');
         spinner.className = 'absolute inset-0 flex items-center justify-center pointer-events-none hidden';
         spinner.innerHTML = `
             <svg class="animate-spin h-10 w-10 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -380,91 +1478,71 @@ class VideoPlayer {
 
     createCenterControls() {
         const container = document.createElement('div');
-        container.id = 'centerPlayPause';
+        container.id = this.elementId('centerPlayPause');
         container.className = 'absolute inset-0 flex items-center justify-center pointer-events-none';
 
+        // Transport controls keep their left-to-right order in RTL layouts
         const controlsWrapper = document.createElement('div');
+        controlsWrapper.dir = 'ltr';
         controlsWrapper.className = 'flex items-center space-x-4';
 
         // Skip backward button
         const skipBackBtn = document.createElement('button');
-        skipBackBtn.id = 'skipBackwardBtn';
+        skipBackBtn.id = this.elementId('skipBackwardBtn');
+        skipBackBtn.setAttribute('aria-label', this.t('rewind', { count: this.config.skipBackwardSeconds }));
         skipBackBtn.className = 'bg-black/60 hover:bg-black/80 text-white rounded-full w-8 h-8 flex items-center justify-center transform hover:scale-110 transition-all shadow-2xl pointer-events-auto opacity-0';
 
-        const skipBackSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        skipBackSvg.setAttribute('class', 'w-8 h-8');
-        skipBackSvg.setAttribute('fill', 'currentColor');
-        skipBackSvg.setAttribute('viewBox', '0 0 24 24');
-
-        const skipBackPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        skipBackPath.setAttribute('d', 'M11.99 5V1l-5 5 5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6h-2c0 4.42 3.58 8 8 8s8-3.58 8-8-3.58-8-8-8z');
-        skipBackPath.setAttribute('opacity', '0.4');
+        const skipBackSvg = this.createIcon('skipBackward', 'w-8 h-8');
+        skipBackSvg.firstChild.setAttribute('opacity', '0.4');
 
+        // The configured step, shrunk when it needs more than two digits
+        const skipBackLabel = this.i18n.numberFormat.format(this.config.skipBackwardSeconds);
         const skipBackText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         skipBackText.setAttribute('x', '9');
         skipBackText.setAttribute('y', '15.5');
-        skipBackText.setAttribute('font-size', '6');
+        skipBackText.setAttribute('font-size', skipBackLabel.length > 2 ? '4.5' : '6');
         skipBackText.setAttribute('fill', 'currentColor');
         skipBackText.setAttribute('font-weight', 'bold');
         skipBackText.setAttribute('text-anchor', 'middle');
-        skipBackText.textContent = '10';
+        skipBackText.textContent = skipBackLabel;
 
-        skipBackSvg.appendChild(skipBackPath);
         skipBackSvg.appendChild(skipBackText);
         skipBackBtn.appendChild(skipBackSvg);
 
         // Play/Pause button
         const playBtn = document.createElement('button');
-        playBtn.id = 'centerPlayButton';
+        playBtn.id = this.elementId('centerPlayButton');
+        playBtn.setAttribute('aria-label', this.t('play'));
         playBtn.className = 'bg-black/60 hover:bg-black/80 text-white rounded-full p-3 transform hover:scale-110 transition-all shadow-2xl pointer-events-auto opacity-0';
 
-        const playIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        playIcon.id = 'centerPlayIcon';
-        playIcon.setAttribute('class', 'w-10 h-10');
-        playIcon.setAttribute('fill', 'currentColor');
-        playIcon.setAttribute('viewBox', '0 0 24 24');
-
-        const playPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        playPath.setAttribute('d', 'M8 5v14l11-7z');
-        playIcon.appendChild(playPath);
+        const playIcon = this.createIcon('play', 'w-10 h-10');
+        playIcon.id = this.elementId('centerPlayIcon');
 
-        const pauseIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        pauseIcon.id = 'centerPauseIcon';
-        pauseIcon.setAttribute('class', 'w-10 h-10 hidden');
-        pauseIcon.setAttribute('fill', 'currentColor');
-        pauseIcon.setAttribute('viewBox', '0 0 24 24');
-
-        const pausePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        pausePath.setAttribute('d', 'M6 4h4v16H6V4zm8 0h4v16h-4V4z');
-        pauseIcon.appendChild(pausePath);
+        const pauseIcon = this.createIcon('pause', 'w-10 h-10 hidden');
+        pauseIcon.id = this.elementId('centerPauseIcon');
 
         playBtn.appendChild(playIcon);
         playBtn.appendChild(pauseIcon);
 
         // Skip forward button
         const skipForwardBtn = document.createElement('button');
-        skipForwardBtn.id = 'skipForwardBtn';
+        skipForwardBtn.id = this.elementId('skipForwardBtn');
+        skipForwardBtn.setAttribute('aria-label', this.t('forward', { count: this.config.skipForwardSeconds }));
         skipForwardBtn.className = 'bg-black/60 hover:bg-black/80 text-white rounded-full w-8 h-8 flex items-center justify-center transform hover:scale-110 transition-all shadow-2xl pointer-events-auto opacity-0';
 
-        const skipForwardSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        skipForwardSvg.setAttribute('class', 'w-8 h-8');
-        skipForwardSvg.setAttribute('fill', 'currentColor');
-        skipForwardSvg.setAttribute('viewBox', '0 0 24 24');
-
-        const skipForwardPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        skipForwardPath.setAttribute('d', 'M12 5V1l5 5-5 5V7c-3.31 0-6 2.69-6 6s2.69 6 6 6 6-2.69 6-6h2c0 4.42-3.58 8-8 8s-8-3.58-8-8 3.58-8 8-8z');
-        skipForwardPath.setAttribute('opacity', '0.4');
+        const skipForwardSvg = this.createIcon('skipForward', 'w-8 h-8');
+        skipForwardSvg.firstChild.setAttribute('opacity', '0.4');
 
+        const skipForwardLabel = this.i18n.numberFormat.format(this.config.skipForwardSeconds);
         const skipForwardText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         skipForwardText.setAttribute('x', '15');
         skipForwardText.setAttribute('y', '15.5');
-        skipForwardText.setAttribute('font-size', '6');
+        skipForwardText.setAttribute('font-size', skipForwardLabel.length > 2 ? '4.5' : '6');
         skipForwardText.setAttribute('fill', 'currentColor');
         skipForwardText.setAttribute('font-weight', 'bold');
         skipForwardText.setAttribute('text-anchor', 'middle');
-        skipForwardText.textContent = '10';
+        skipForwardText.textContent = skipForwardLabel;
 
-        skipForwardSvg.appendChild(skipForwardPath);
         skipForwardSvg.appendChild(skipForwardText);
         skipForwardBtn.appendChild(skipForwardSvg);
 
@@ -478,121 +1556,180 @@ class VideoPlayer {
 
     createBottomControls() {
         const controls = document.createElement('div');
-        controls.id = 'bottomControls';
-        controls.className = 'absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/90 via-black/70 to-transparent p-4 opacity-0 transition-opacity duration-300';
+        controls.id = this.elementId('bottomControls');
+        controls.className = 'absolute bottom-0 left-0 right-0 vp-controls-gradient p-4 opacity-0 transition-opacity duration-300';
 
         // Progress bar container
         const progressContainer = document.createElement('div');
         progressContainer.className = 'mb-3';
 
         const progressBarContainer = document.createElement('div');
-        progressBarContainer.id = 'progressBarContainer';
-        progressBarContainer.className = 'relative w-full h-1 bg-gray-600 rounded-full cursor-pointer group';
+        progressBarContainer.id = this.elementId('progressBarContainer');
+        progressBarContainer.setAttribute('role', 'slider');
+        progressBarContainer.setAttribute('tabindex', '0');
+        progressBarContainer.setAttribute('aria-label', this.t('seek'));
+        progressBarContainer.setAttribute('aria-valuemin', '0');
+        progressBarContainer.setAttribute('aria-valuemax', '0');
+        progressBarContainer.setAttribute('aria-valuenow', '0');
+        progressBarContainer.setAttribute('aria-valuetext', this.t('seekPosition', { current: this.formatTime(0), duration: this.formatTime(0) }));
+        progressBarContainer.dir = 'ltr'; // time runs left to right in every locale
+        progressBarContainer.className = 'relative w-full h-1 bg-gray-600 rounded-full cursor-pointer group touch-none';
+
+        // Buffered ranges, drawn under the played bar
+        const progressBuffered = document.createElement('div');
+        progressBuffered.id = this.elementId('progressBuffered');
+        progressBuffered.className = 'absolute inset-0 pointer-events-none';
 
         const progressBar = document.createElement('div');
-        progressBar.id = 'progressBar';
-        progressBar.className = 'absolute h-full bg-red-600 rounded-full';
+        progressBar.id = this.elementId('progressBar');
+        progressBar.className = 'absolute h-full vp-progress rounded-full';
         progressBar.style.width = '0%';
 
+        // Ad break and chapter markers
+        const progressMarkers = document.createElement('div');
+        progressMarkers.id = this.elementId('progressMarkers');
+        progressMarkers.className = 'absolute inset-0 pointer-events-none';
+
         const progressHandle = document.createElement('div');
-        progressHandle.id = 'progressHandle';
+        progressHandle.id = this.elementId('progressHandle');
         progressHandle.className = 'absolute w-3 h-3 bg-white rounded-full -top-1 -ml-1.5 opacity-0 group-hover:opacity-100 transition-opacity';
         progressHandle.style.left = '0%';
 
+        // Hover tooltip (storyboard frame, time and chapter title)
+        const progressTooltip = document.createElement('div');
+        progressTooltip.id = this.elementId('progressTooltip');
+        progressTooltip.className = 'absolute bottom-full mb-3 -translate-x-1/2 transform flex flex-col items-center gap-1 pointer-events-none hidden';
+
+        const previewThumbnail = document.createElement('div');
+        previewThumbnail.id = this.elementId('previewThumbnail');
+        previewThumbnail.className = 'overflow-hidden rounded border-2 border-white/80 bg-black shadow-lg hidden';
+
+        const previewFrame = document.createElement('div');
+        previewFrame.id = this.elementId('previewFrame');
+        previewFrame.className = 'bg-no-repeat origin-top-left';
+        previewThumbnail.appendChild(previewFrame);
+
+        const progressTooltipText = document.createElement('div');
+        progressTooltipText.id = this.elementId('progressTooltipText');
+        progressTooltipText.className = 'bg-black/80 text-white text-xs px-2 py-1 rounded whitespace-nowrap';
+
+        progressTooltip.appendChild(previewThumbnail);
+        progressTooltip.appendChild(progressTooltipText);
+
+        progressBarContainer.appendChild(progressBuffered);
         progressBarContainer.appendChild(progressBar);
+        progressBarContainer.appendChild(progressMarkers);
         progressBarContainer.appendChild(progressHandle);
+        progressBarContainer.appendChild(progressTooltip);
         progressContainer.appendChild(progressBarContainer);
 
         // Controls row
         const controlsRow = document.createElement('div');
         controlsRow.className = 'flex items-center justify-between';
 
-        // Left side - time display
+        // Start side (left, or right in RTL) - time display
         const leftControls = document.createElement('div');
         leftControls.className = 'flex items-center space-x-3';
 
         const timeDisplay = document.createElement('div');
         timeDisplay.className = 'text-white text-sm font-medium';
-        timeDisplay.innerHTML = '<span id="currentTime">0:00</span> / <span id="duration">0:00</span>';
-
+        timeDisplay.innerHTML = `<span id="${this.elementId('currentTime')}">${this.formatTime(0)}</span> / <span id="${this.elementId('duration')}">${this.formatTime(0)}</span>`;
+
+        // Current chapter name
+        const currentChapter = document.createElement('div');
+        currentChapter.id = this.elementId('currentChapter');
+        currentChapter.className = 'text-gray-300 text-sm truncate max-w-xs hidden';
+
+        // Playlist previous / next, hidden without a playlist
+        const prevBtn = document.createElement('button');
+        prevBtn.id = this.elementId('prevBtn');
+        prevBtn.setAttribute('aria-label', this.t('previousVideo'));
+        prevBtn.className = 'text-white vp-accent-hover transition-colors disabled:opacity-40 disabled:pointer-events-none hidden';
+        prevBtn.appendChild(this.createIcon('previous', 'w-6 h-6'));
+
+        const nextBtn = document.createElement('button');
+        nextBtn.id = this.elementId('nextBtn');
+        nextBtn.setAttribute('aria-label', this.t('nextVideo'));
+        nextBtn.className = 'text-white vp-accent-hover transition-colors disabled:opacity-40 disabled:pointer-events-none hidden';
+        nextBtn.appendChild(this.createIcon('next', 'w-6 h-6'));
+
+        leftControls.appendChild(prevBtn);
+        leftControls.appendChild(nextBtn);
         leftControls.appendChild(timeDisplay);
+        leftControls.appendChild(currentChapter);
 
-        // Right side - volume and fullscreen
+        // End side - captions, volume and fullscreen
         const rightControls = document.createElement('div');
         rightControls.className = 'flex items-center space-x-3';
 
+        // Captions (CC) button, hidden when the video has no text tracks
+        const captionsBtn = document.createElement('button');
+        captionsBtn.id = this.elementId('captionsBtn');
+        captionsBtn.setAttribute('aria-label', this.t('captions'));
+        captionsBtn.setAttribute('aria-pressed', 'false');
+        captionsBtn.className = 'text-white vp-accent-hover transition-colors border-b-2 border-transparent hidden';
+
+        const captionsIcon = this.createIcon('captions', 'w-7 h-7');
+        captionsBtn.appendChild(captionsIcon);
+
         // Volume controls
         const volumeControls = document.createElement('div');
         volumeControls.className = 'flex items-center space-x-2';
 
         const volumeBtn = document.createElement('button');
-        volumeBtn.id = 'volumeBtn';
-        volumeBtn.className = 'text-white hover:text-red-500 transition-colors';
-
-        const volumeIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        volumeIcon.id = 'volumeIcon';
-        volumeIcon.setAttribute('class', 'w-7 h-7');
-        volumeIcon.setAttribute('fill', 'currentColor');
-        volumeIcon.setAttribute('viewBox', '0 0 24 24');
+        volumeBtn.id = this.elementId('volumeBtn');
+        volumeBtn.setAttribute('aria-label', this.t('mute'));
+        volumeBtn.className = 'text-white vp-accent-hover transition-colors';
 
-        const volumePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        volumePath.setAttribute('d', 'M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02z');
-        volumeIcon.appendChild(volumePath);
+        const volumeIcon = this.createIcon('volume', 'w-7 h-7');
+        volumeIcon.id = this.elementId('volumeIcon');
 
-        const muteIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        muteIcon.id = 'muteIcon';
-        muteIcon.setAttribute('class', 'w-7 h-7 hidden');
-        muteIcon.setAttribute('fill', 'currentColor');
-        muteIcon.setAttribute('viewBox', '0 0 24 24');
-
-        const mutePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        mutePath.setAttribute('d', 'M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z');
-        muteIcon.appendChild(mutePath);
+        const muteIcon = this.createIcon('mute', 'w-7 h-7 hidden');
+        muteIcon.id = this.elementId('muteIcon');
 
         volumeBtn.appendChild(volumeIcon);
         volumeBtn.appendChild(muteIcon);
 
         const volumeSlider = document.createElement('input');
         volumeSlider.type = 'range';
-        volumeSlider.id = 'volumeSlider';
+        volumeSlider.id = this.elementId('volumeSlider');
+        volumeSlider.setAttribute('aria-label', this.t('volume'));
         volumeSlider.min = '0';
         volumeSlider.max = '100';
         volumeSlider.value = '100';
-        volumeSlider.className = 'w-20 h-1 bg-gray-600 rounded-lg appearance-none cursor-pointer';
-        volumeSlider.style.accentColor = '#ef4444';
+        volumeSlider.className = 'w-20 h-1 bg-gray-600 vp-rounded appearance-none cursor-pointer';
 
         volumeControls.appendChild(volumeBtn);
         volumeControls.appendChild(volumeSlider);
 
-        // Fullscreen button
-        const fullscreenBtn = document.createElement('button');
-        fullscreenBtn.id = 'fullscreenBtn';
-        fullscreenBtn.className = 'text-white hover:text-red-500 transition-colors';
+        // Picture-in-Picture button (hidden where the browser has no PiP)
+        const pipBtn = document.createElement('button');
+        pipBtn.id = this.elementId('pipBtn');
+        pipBtn.setAttribute('aria-label', this.t('pictureInPicture'));
+        pipBtn.setAttribute('aria-pressed', 'false');
+        pipBtn.className = `text-white vp-accent-hover transition-colors${document.pictureInPictureEnabled ? '' : ' hidden'}`;
 
-        const fullscreenIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        fullscreenIcon.id = 'fullscreenIcon';
-        fullscreenIcon.setAttribute('class', 'w-7 h-7');
-        fullscreenIcon.setAttribute('fill', 'currentColor');
-        fullscreenIcon.setAttribute('viewBox', '0 0 24 24');
+        const pipIcon = this.createIcon('pictureInPicture', 'w-7 h-7');
+        pipBtn.appendChild(pipIcon);
 
-        const fullscreenPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        fullscreenPath.setAttribute('d', 'M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z');
-        fullscreenIcon.appendChild(fullscreenPath);
+        // Fullscreen button
+        const fullscreenBtn = document.createElement('button');
+        fullscreenBtn.id = this.elementId('fullscreenBtn');
+        fullscreenBtn.setAttribute('aria-label', this.t('fullscreen'));
+        fullscreenBtn.className = 'text-white vp-accent-hover transition-colors';
 
-        const exitFullscreenIcon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        exitFullscreenIcon.id = 'exitFullscreenIcon';
-        exitFullscreenIcon.setAttribute('class', 'w-7 h-7 hidden');
-        exitFullscreenIcon.setAttribute('fill', 'currentColor');
-        exitFullscreenIcon.setAttribute('viewBox', '0 0 24 24');
+        const fullscreenIcon = this.createIcon('fullscreen', 'w-7 h-7');
+        fullscreenIcon.id = this.elementId('fullscreenIcon');
 
-        const exitFullscreenPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        exitFullscreenPath.setAttribute('d', 'M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z');
-        exitFullscreenIcon.appendChild(exitFullscreenPath);
+        const exitFullscreenIcon = this.createIcon('exitFullscreen', 'w-7 h-7 hidden');
+        exitFullscreenIcon.id = this.elementId('exitFullscreenIcon');
 
         fullscreenBtn.appendChild(fullscreenIcon);
         fullscreenBtn.appendChild(exitFullscreenIcon);
 
+        rightControls.appendChild(captionsBtn);
         rightControls.appendChild(volumeControls);
+        rightControls.appendChild(pipBtn);
         rightControls.appendChild(fullscreenBtn);
 
         controlsRow.appendChild(leftControls);
@@ -606,12 +1743,12 @@ class VideoPlayer {
 
     createAdOverlay() {
         const overlay = document.createElement('div');
-        overlay.id = 'adOverlay';
-        overlay.className = 'absolute inset-0 bg-gradient-to-t from-black/80 via-transparent to-black/50 pointer-events-none';
+        overlay.id = this.elementId('adOverlay');
+        overlay.className = 'absolute inset-0 bg-gradient-to-t from-black/80 via-transparent to-black/50 pointer-events-none hidden';
 
         // Ad loading spinner
         const adLoadingSpinner = document.createElement('div');
-        adLoadingSpinner.id = 'adLoadingSpinner';
+        adLoadingSpinner.id = this.elementId('adLoadingSpinner');
         adLoadingSpinner.className = 'absolute inset-0 flex items-center justify-center pointer-events-none hidden';
         adLoadingSpinner.innerHTML = `
             <svg class="animate-spin h-10 w-10 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -620,41 +1757,43 @@ class VideoPlayer {
             </svg>
         `;
 
-        // Ad badge
+        // Ad badge with pod position ("Ad 1 of 3")
+        const adBadgeContainer = document.createElement('div');
+        adBadgeContainer.className = 'absolute top-4 start-4 flex items-center space-x-2';
+
         const adBadge = document.createElement('div');
-        adBadge.className = 'absolute top-4 left-4 bg-yellow-500 text-black px-3 py-1 rounded-full text-sm font-bold';
-        adBadge.textContent = 'Ad';
+        adBadge.className = 'bg-yellow-500 text-black px-3 py-1 rounded-full text-sm font-bold';
+        adBadge.textContent = this.t('ad');
+
+        const adPodPosition = document.createElement('div');
+        adPodPosition.id = this.elementId('adPodPosition');
+        adPodPosition.className = 'bg-black/70 text-white px-3 py-1 rounded-full text-sm hidden';
+
+        adBadgeContainer.appendChild(adBadge);
+        adBadgeContainer.appendChild(adPodPosition);
 
         // Ad timer (hidden by default)
         const adTimer = document.createElement('div');
-        adTimer.id = 'adTimeRemaining';
-        adTimer.className = 'absolute top-4 right-4 bg-black/70 text-white px-3 py-1 rounded-full text-sm hidden';
-        adTimer.innerHTML = '<span id="adTimer">--</span>s';
+        adTimer.id = this.elementId('adTimeRemaining');
+        adTimer.className = 'absolute top-4 end-4 bg-black/70 text-white px-3 py-1 rounded-full text-sm hidden';
+        adTimer.textContent = '--';
 
         // Skip button
         const skipButton = document.createElement('button');
-        skipButton.id = 'skipButton';
-        skipButton.className = 'absolute bottom-8 right-8 px-6 py-3 rounded-lg font-bold transition-all transform hover:scale-105 opacity-0 pointer-events-none';
-        skipButton.style.backgroundColor = this.config.adButtonColor.background;
-        skipButton.style.color = this.config.adButtonColor.text;
-        skipButton.textContent = 'Skip Ad →';
-
-        // Add hover effect
-        skipButton.addEventListener('mouseenter', () => {
-            skipButton.style.backgroundColor = this.config.adButtonColor.backgroundHover;
-        });
-        skipButton.addEventListener('mouseleave', () => {
-            skipButton.style.backgroundColor = this.config.adButtonColor.background;
-        });
+        skipButton.id = this.elementId('skipButton');
+        skipButton.setAttribute('aria-label', this.t('skipAd'));
+        skipButton.className = 'vp-skip-button absolute bottom-8 end-8 px-6 py-3 vp-rounded font-bold transition-all transform hover:scale-105 opacity-0 pointer-events-none';
+        skipButton.textContent = this.t('skipAdButton');
+        skipButton.disabled = true; // enabled by setSkipButtonAvailable() when the countdown ends
+        skipButton.setAttribute('aria-hidden', 'true');
 
         // Skip countdown
         const skipCountdown = document.createElement('div');
-        skipCountdown.id = 'skipCountdown';
-        skipCountdown.className = 'absolute bottom-8 right-8 bg-black/70 text-white px-6 py-3 rounded-lg font-bold';
-        skipCountdown.innerHTML = 'Skip in <span id="skipTimer">5</span>s';
+        skipCountdown.id = this.elementId('skipCountdown');
+        skipCountdown.className = 'absolute bottom-8 end-8 bg-black/70 text-white px-6 py-3 vp-rounded font-bold';
 
         overlay.appendChild(adLoadingSpinner);
-        overlay.appendChild(adBadge);
+        overlay.appendChild(adBadgeContainer);
         overlay.appendChild(adTimer);
         overlay.appendChild(skipButton);
         overlay.appendChild(skipCountdown);
@@ -664,89 +1803,242 @@ class VideoPlayer {
 
     createPlayOverlay() {
         const overlay = document.createElement('div');
-        overlay.id = 'playOverlay';
-        overlay.className = 'absolute inset-0 flex items-center justify-center bg-black/40';
+        overlay.id = this.elementId('playOverlay');
+        overlay.className = 'absolute inset-0 flex flex-col items-center justify-center bg-black/40';
 
         const playButton = document.createElement('button');
-        playButton.id = 'playButton';
-        playButton.className = 'rounded-full p-4 transform hover:scale-110 transition-all shadow-2xl';
-        playButton.style.backgroundColor = this.config.playButtonColor.background;
-        playButton.style.color = this.config.playButtonColor.text;
-        playButton.innerHTML = `
-            <svg class="w-8 h-8" fill="currentColor" viewBox="0 0 24 24">
-                <path d="M8 5v14l11-7z"/>
-            </svg>
-        `;
+        playButton.id = this.elementId('playButton');
+        playButton.setAttribute('aria-label', this.t('playVideo'));
+        playButton.className = 'vp-play-button rounded-full p-4 transform hover:scale-110 transition-all shadow-2xl';
+        playButton.appendChild(this.createIcon('play', 'w-8 h-8'));
 
-        // Add hover effect
-        playButton.addEventListener('mouseenter', () => {
-            playButton.style.backgroundColor = this.config.playButtonColor.backgroundHover;
-        });
-        playButton.addEventListener('mouseleave', () => {
-            playButton.style.backgroundColor = this.config.playButtonColor.background;
-        });
+        // "Resume from 12:34 / Start over", shown when a saved position exists
+        const resumePrompt = document.createElement('div');
+        resumePrompt.id = this.elementId('resumePrompt');
+        resumePrompt.className = 'mt-6 flex space-x-3 hidden';
+
+        const resumeBtn = document.createElement('button');
+        resumeBtn.id = this.elementId('resumeBtn');
+        resumeBtn.className = 'px-4 py-2 vp-rounded bg-white text-black text-sm font-semibold hover:bg-gray-200 transition-colors';
+
+        const startOverBtn = document.createElement('button');
+        startOverBtn.id = this.elementId('startOverBtn');
+        startOverBtn.className = 'px-4 py-2 vp-rounded bg-black/60 text-white text-sm font-semibold hover:bg-black/80 transition-colors';
+        startOverBtn.textContent = this.t('startOver');
+
+        resumePrompt.appendChild(resumeBtn);
+        resumePrompt.appendChild(startOverBtn);
 
         overlay.appendChild(playButton);
+        overlay.appendChild(resumePrompt);
+
+        return overlay;
+    }
+
+    createMiniPlayerBar() {
+        const bar = document.createElement('div');
+        bar.id = this.elementId('miniPlayerBar');
+        bar.className = 'absolute top-0 end-0 flex items-center gap-1 p-1 hidden';
+
+        const backBtn = document.createElement('button');
+        backBtn.id = this.elementId('miniPlayerBackBtn');
+        backBtn.setAttribute('aria-label', this.t('miniPlayerBack'));
+        backBtn.className = 'text-white bg-black/60 hover:bg-black/80 rounded-full p-1.5 transition-colors';
+        backBtn.appendChild(this.createIcon('miniPlayerExpand', 'w-5 h-5'));
+
+        const closeBtn = document.createElement('button');
+        closeBtn.id = this.elementId('miniPlayerCloseBtn');
+        closeBtn.setAttribute('aria-label', this.t('miniPlayerClose'));
+        closeBtn.className = 'text-white bg-black/60 hover:bg-black/80 rounded-full p-1.5 transition-colors';
+        closeBtn.appendChild(this.createIcon('close', 'w-5 h-5'));
+
+        bar.appendChild(backBtn);
+        bar.appendChild(closeBtn);
+
+        return bar;
+    }
+
+    createErrorPanel() {
+        const panel = document.createElement('div');
+        panel.id = this.elementId('errorPanel');
+        panel.setAttribute('role', 'alert');
+        panel.className = 'absolute inset-0 flex flex-col items-center justify-center bg-black/85 text-white text-center px-8 hidden';
+
+        const icon = document.createElement('div');
+        icon.appendChild(this.createIcon('error', 'w-12 h-12 vp-accent-text mb-3'));
+
+        const message = document.createElement('p');
+        message.id = this.elementId('errorMessage');
+        message.className = 'text-sm text-gray-200 max-w-md mb-4';
+
+        const retryBtn = document.createElement('button');
+        retryBtn.id = this.elementId('retryBtn');
+        retryBtn.className = 'px-5 py-2 vp-rounded vp-accent-button text-sm font-semibold transition-colors';
+        retryBtn.textContent = this.t('tryAgain');
+
+        panel.appendChild(icon);
+        panel.appendChild(message);
+        panel.appendChild(retryBtn);
+
+        return panel;
+    }
+
+    createShortcutsOverlay() {
+        const overlay = document.createElement('div');
+        overlay.id = this.elementId('shortcutsOverlay');
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', this.elementId('shortcutsTitle'));
+        overlay.className = 'absolute inset-0 flex items-center justify-center bg-black/85 text-white p-4 hidden';
+
+        const panel = document.createElement('div');
+        panel.className = 'w-full max-w-md max-h-full overflow-y-auto vp-control-bg vp-rounded shadow-2xl p-4';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between mb-3';
+
+        const title = document.createElement('h2');
+        title.id = this.elementId('shortcutsTitle');
+        title.className = 'text-base font-semibold';
+        title.textContent = this.t('keyboardShortcuts');
+
+        const closeBtn = document.createElement('button');
+        closeBtn.id = this.elementId('shortcutsCloseBtn');
+        closeBtn.setAttribute('aria-label', this.t('close'));
+        closeBtn.className = 'text-white vp-accent-hover transition-colors';
+        closeBtn.appendChild(this.createIcon('close', 'w-5 h-5'));
+
+        // Rows are rendered from the active bindings when the overlay opens
+        const list = document.createElement('div');
+        list.id = this.elementId('shortcutsList');
+        list.className = 'text-sm';
+
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+        panel.appendChild(list);
+        overlay.appendChild(panel);
 
         return overlay;
     }
 
+    /**
+     * Focus rings on interactive elements and icons hidden from screen
+     * readers (reduced motion is handled by PLAYER_STYLES)
+     */
+    applyAccessibilityClasses(root) {
+        root.querySelectorAll('button, input, [role="slider"]').forEach(el => el.classList.add(FOCUS_RING_CLASS));
+        root.querySelectorAll('svg').forEach(svg => {
+            svg.setAttribute('aria-hidden', 'true');
+            svg.setAttribute('focusable', 'false');
+        });
+    }
+
+    /**
+     * Element ids are prefixed with the wrapper id so several players can
+     * share a page
+     */
+    elementId(name) {
+        return `${this.config.wrapperId}-${name}`;
+    }
+
+    getElement(name) {
+        return this.wrapper.querySelector(`[id="${this.elementId(name)}"]`);
+    }
+
     getElements() {
         // Get the dynamically created container
-        this.container = this.wrapper.querySelector('#video-player-container');
+        this.container = this.getElement('video-player-container');
 
         // Thumbnail Elements
-        this.thumbnailVideo = this.container.querySelector('#thumbnailVideo');
+        this.thumbnailVideo = this.getElement('thumbnailVideo');
 
         // Ad Elements
-        this.adVideo = this.container.querySelector('#adVideo');
-        this.adOverlay = this.container.querySelector('#adOverlay');
-        this.skipButton = this.container.querySelector('#skipButton');
-        this.skipCountdown = this.container.querySelector('#skipCountdown');
-        this.skipTimer = this.container.querySelector('#skipTimer');
-        this.adTimer = this.container.querySelector('#adTimer');
-        this.playOverlay = this.container.querySelector('#playOverlay');
-        this.playButton = this.container.querySelector('#playButton');
-        this.adLoadingSpinner = this.container.querySelector('#adLoadingSpinner');
+        this.adVideo = this.getElement('adVideo');
+        this.adOverlay = this.getElement('adOverlay');
+        this.skipButton = this.getElement('skipButton');
+        this.skipCountdown = this.getElement('skipCountdown');
+        this.adTimeRemaining = this.getElement('adTimeRemaining');
+        this.adPodPosition = this.getElement('adPodPosition');
+        this.playOverlay = this.getElement('playOverlay');
+        this.resumePrompt = this.getElement('resumePrompt');
+        this.errorPanel = this.getElement('errorPanel');
+        this.announcer = this.getElement('announcer');
+        this.errorMessage = this.getElement('errorMessage');
+        this.retryBtn = this.getElement('retryBtn');
+        this.resumeBtn = this.getElement('resumeBtn');
+        this.startOverBtn = this.getElement('startOverBtn');
+        this.playButton = this.getElement('playButton');
+        this.adLoadingSpinner = this.getElement('adLoadingSpinner');
 
         // Main Video Elements
-        this.mainVideo = this.container.querySelector('#mainVideo');
-        this.mainVideoControls = this.container.querySelector('#mainVideoControls');
-        this.videoInfo = this.container.querySelector('#videoInfo');
-        this.videoTitle = this.container.querySelector('#videoTitle');
-        this.videoDescription = this.container.querySelector('#videoDescription');
-        this.centerPlayButton = this.container.querySelector('#centerPlayButton');
-        this.centerPlayIcon = this.container.querySelector('#centerPlayIcon');
-        this.centerPauseIcon = this.container.querySelector('#centerPauseIcon');
-        this.skipBackwardBtn = this.container.querySelector('#skipBackwardBtn');
-        this.skipForwardBtn = this.container.querySelector('#skipForwardBtn');
-        this.bottomControls = this.container.querySelector('#bottomControls');
-        this.progressBarContainer = this.container.querySelector('#progressBarContainer');
-        this.progressBar = this.container.querySelector('#progressBar');
-        this.progressHandle = this.container.querySelector('#progressHandle');
-        this.currentTimeEl = this.container.querySelector('#currentTime');
-        this.durationEl = this.container.querySelector('#duration');
-        this.volumeBtn = this.container.querySelector('#volumeBtn');
-        this.volumeIcon = this.container.querySelector('#volumeIcon');
-        this.muteIcon = this.container.querySelector('#muteIcon');
-        this.volumeSlider = this.container.querySelector('#volumeSlider');
-        this.fullscreenBtn = this.container.querySelector('#fullscreenBtn');
-        this.fullscreenIcon = this.container.querySelector('#fullscreenIcon');
-        this.exitFullscreenIcon = this.container.querySelector('#exitFullscreenIcon');
-        this.settingsBtn = this.container.querySelector('#settingsBtn');
-        this.settingsMenu = this.container.querySelector('#settingsMenu');
-        this.settingsContainer = this.container.querySelector('#settingsContainer');
-        this.speedMenuBtn = this.container.querySelector('#speedMenuBtn');
-        this.speedSubmenu = this.container.querySelector('#speedSubmenu');
-        this.qualityMenuBtn = this.container.querySelector('#qualityMenuBtn');
-        this.qualitySubmenu = this.container.querySelector('#qualitySubmenu');
-        this.currentSpeed = this.container.querySelector('#currentSpeed');
-        this.currentQuality = this.container.querySelector('#currentQuality');
+        this.mainVideo = this.getElement('mainVideo');
+        this.mainVideoControls = this.getElement('mainVideoControls');
+        this.videoInfo = this.getElement('videoInfo');
+        this.videoTitle = this.getElement('videoTitle');
+        this.videoDescription = this.getElement('videoDescription');
+        this.centerPlayButton = this.getElement('centerPlayButton');
+        this.centerPlayIcon = this.getElement('centerPlayIcon');
+        this.centerPauseIcon = this.getElement('centerPauseIcon');
+        this.skipBackwardBtn = this.getElement('skipBackwardBtn');
+        this.skipForwardBtn = this.getElement('skipForwardBtn');
+        this.bottomControls = this.getElement('bottomControls');
+        this.progressBarContainer = this.getElement('progressBarContainer');
+        this.progressBar = this.getElement('progressBar');
+        this.progressBuffered = this.getElement('progressBuffered');
+        this.progressHandle = this.getElement('progressHandle');
+        this.progressMarkers = this.getElement('progressMarkers');
+        this.progressTooltip = this.getElement('progressTooltip');
+        this.progressTooltipText = this.getElement('progressTooltipText');
+        this.previewThumbnail = this.getElement('previewThumbnail');
+        this.previewFrame = this.getElement('previewFrame');
+        this.currentChapterEl = this.getElement('currentChapter');
+        this.currentTimeEl = this.getElement('currentTime');
+        this.durationEl = this.getElement('duration');
+        this.prevBtn = this.getElement('prevBtn');
+        this.nextBtn = this.getElement('nextBtn');
+        this.upNextCard = this.getElement('upNextCard');
+        this.upNextCountdown = this.getElement('upNextCountdown');
+        this.upNextTitle = this.getElement('upNextTitle');
+        this.upNextPlayBtn = this.getElement('upNextPlayBtn');
+        this.upNextCancelBtn = this.getElement('upNextCancelBtn');
+        this.volumeBtn = this.getElement('volumeBtn');
+        this.volumeIcon = this.getElement('volumeIcon');
+        this.muteIcon = this.getElement('muteIcon');
+        this.volumeSlider = this.getElement('volumeSlider');
+        this.fullscreenBtn = this.getElement('fullscreenBtn');
+        this.pipBtn = this.getElement('pipBtn');
+        this.playerSlot = this.getElement('playerSlot');
+        this.miniPlayerBar = this.getElement('miniPlayerBar');
+        this.miniPlayerBackBtn = this.getElement('miniPlayerBackBtn');
+        this.miniPlayerCloseBtn = this.getElement('miniPlayerCloseBtn');
+        this.shortcutsOverlay = this.getElement('shortcutsOverlay');
+        this.shortcutsList = this.getElement('shortcutsList');
+        this.shortcutsCloseBtn = this.getElement('shortcutsCloseBtn');
+        this.fullscreenIcon = this.getElement('fullscreenIcon');
+        this.exitFullscreenIcon = this.getElement('exitFullscreenIcon');
+        this.settingsBtn = this.getElement('settingsBtn');
+        this.settingsMenu = this.getElement('settingsMenu');
+        this.settingsContainer = this.getElement('settingsContainer');
+        this.speedMenuBtn = this.getElement('speedMenuBtn');
+        this.speedSubmenu = this.getElement('speedSubmenu');
+        this.qualityMenuBtn = this.getElement('qualityMenuBtn');
+        this.qualitySubmenu = this.getElement('qualitySubmenu');
+        this.currentSpeed = this.getElement('currentSpeed');
+        this.currentQuality = this.getElement('currentQuality');
         this.speedOptions = this.container.querySelectorAll('.speed-option');
-        this.qualityOptions = this.container.querySelectorAll('.quality-option');
-        this.loadingSpinner = this.container.querySelector('#loadingSpinner');
+        this.loadingSpinner = this.getElement('loadingSpinner');
+        this.captionsBtn = this.getElement('captionsBtn');
+        this.captionOverlay = this.getElement('captionOverlay');
+        this.captionText = this.getElement('captionText');
+        this.subtitlesSection = this.getElement('subtitlesSection');
+        this.subtitlesMenuBtn = this.getElement('subtitlesMenuBtn');
+        this.subtitlesSubmenu = this.getElement('subtitlesSubmenu');
+        this.currentSubtitles = this.getElement('currentSubtitles');
+        this.captionStyleMenuBtn = this.getElement('captionStyleMenuBtn');
+        this.captionStyleSubmenu = this.getElement('captionStyleSubmenu');
         this.videoContainer = this.container;
-        this.infoTextEl = this.wrapper.querySelector('#infoText');
+        this.infoTextEl = this.getElement('infoText');
     }
 
     setVideoSources() {
@@ -760,25 +2052,110 @@ class VideoPlayer {
             this.thumbnailVideo.load();
         }
 
-        // Set ad video source
-        if (this.adVideo && this.config.adVideo.url) {
-            const adSource = this.adVideo.querySelector('source');
-            if (adSource) {
-                adSource.src = this.config.adVideo.url;
-                adSource.type = this.config.adVideo.type;
-            }
-            this.adVideo.load();
+        // Set main video source
+        this.setMainSource();
+    }
+
+    setMainSource() {
+        if (!this.mainVideo) return;
+
+        this.destroyStreaming();
+        this.qualityLevels = [];
+        this.currentQualityId = 'auto';
+        this.hasAutoQuality = true;
+        this.renderQualityOptions();
+
+        if (this.config.mainVideo.sources.length) {
+            this.attachProgressiveSources();
+            return;
         }
 
-        // Set main video source
-        if (this.mainVideo) {
-            const mainSource = this.mainVideo.querySelector('source');
-            if (mainSource) {
-                mainSource.src = this.config.mainVideo.url;
-                mainSource.type = this.config.mainVideo.type;
-            }
-            this.mainVideo.load();
+        if (this.isHlsSource(this.config.mainVideo.url, this.config.mainVideo.type)) {
+            this.attachHls();
+            return;
+        }
+
+        if (this.isDashSource(this.config.mainVideo.url, this.config.mainVideo.type)) {
+            this.attachDash();
+            return;
+        }
+
+        const mainSource = this.mainVideo.querySelector('source');
+        if (mainSource) {
+            mainSource.src = this.config.mainVideo.url;
+            mainSource.type = this.config.mainVideo.type;
+        }
+        this.mainVideo.load();
+    }
+
+    /**
+     * Offer mainVideo.sources as manual quality choices and start with the
+     * default (or first) one
+     */
+    attachProgressiveSources() {
+        const sources = this.config.mainVideo.sources;
+        const initialIndex = Math.max(0, sources.findIndex(source => source.default));
+
+        this.hasAutoQuality = false;
+        this.currentQualityId = initialIndex;
+        this.setQualityLevels(sources.map((source, index) => ({
+            id: index,
+            label: source.label,
+            height: parseInt(source.label, 10) || 0,
+            bitrate: source.bitrate,
+            url: source.url,
+            type: source.type
+        })), false);
+
+        const mainSource = this.mainVideo.querySelector('source');
+        if (mainSource) {
+            mainSource.src = sources[initialIndex].url;
+            mainSource.type = sources[initialIndex].type;
         }
+        this.mainVideo.load();
+    }
+
+    /**
+     * Swap the main video source while keeping position, play/pause state
+     * and playback rate
+     */
+    switchMainSource(url, type) {
+        const currentTime = this.mainVideo.currentTime;
+        const wasPaused = this.mainVideo.paused;
+        const playbackRate = this.mainVideo.playbackRate;
+
+        const mainSource = this.mainVideo.querySelector('source');
+        if (mainSource) {
+            mainSource.src = url;
+            mainSource.type = type;
+        }
+        this.mainVideo.load();
+
+        this.mainVideo.addEventListener('loadedmetadata', () => {
+            this.mainVideo.currentTime = currentTime;
+            this.mainVideo.playbackRate = playbackRate;
+            if (!wasPaused) this.mainVideo.play();
+        }, { once: true });
+    }
+
+    setAdSource(adVideo) {
+        if (!this.adVideo || !adVideo.url || this.currentAd === adVideo) return;
+
+        this.currentAd = adVideo;
+        const adSource = this.adVideo.querySelector('source');
+        if (adSource) {
+            adSource.src = adVideo.url;
+            adSource.type = adVideo.type;
+        }
+        this.adVideo.load();
+    }
+
+    clearAdSource() {
+        if (!this.adVideo || !this.currentAd) return;
+
+        this.currentAd = null;
+        this.adVideo.querySelector('source')?.removeAttribute('src');
+        this.adVideo.load();
     }
 
     setVideoInfo() {
@@ -793,10 +2170,8 @@ class VideoPlayer {
             this.infoTextEl.textContent = this.config.infoText;
         }
 
-        // Update skip timer text
-        if (this.skipTimer) {
-            this.skipTimer.textContent = this.config.adVideo.skipAfter;
-        }
+        // Update skip countdown text
+        this.setSkipCountdown(this.config.adVideo[0].skipAfter);
     }
 
     // ============ AD VIDEO FUNCTIONS ============
@@ -805,109 +2180,1824 @@ class VideoPlayer {
         if (!this.adVideo) return;
 
         // Play button click handler
-        this.playButton?.addEventListener('click', () => {
-            this.thumbnailVideo?.classList.add('hidden');
-            this.adVideo.classList.remove('hidden');
-            this.adVideo.play();
-            this.playOverlay?.classList.add('hidden');
+        this.listen(this.playButton, 'click', () => this.startPlayback());
+
+        // Resume prompt
+        this.listen(this.resumeBtn, 'click', () => this.startPlayback());
+        this.listen(this.startOverBtn, 'click', () => {
+            this.resumePosition = null;
+            this.clearSavedPosition();
+            this.startPlayback();
         });
 
         // When ad video metadata is loaded
-        this.adVideo.addEventListener('loadedmetadata', () => {
+        this.listen(this.adVideo, 'loadedmetadata', () => {
             this.adDuration = Math.floor(this.adVideo.duration);
+            if (this.currentAd) this.currentAd.duration = this.adVideo.duration;
         });
 
         // Update ad timer and skip countdown
-        this.adVideo.addEventListener('timeupdate', () => {
+        this.listen(this.adVideo, 'timeupdate', () => {
+            // The ad element can still report time after its break was stopped
+            if (!this.activeAdBreak || !this.currentAd) return;
+
             const currentTime = Math.floor(this.adVideo.currentTime);
-            const remainingTime = Math.floor(this.adVideo.duration - this.adVideo.currentTime);
+            const remainingTime = Math.floor(this.getPodRemainingTime());
 
             // Update ad time remaining
-            if (this.adTimer) {
-                this.adTimer.textContent = remainingTime;
+            if (this.adTimeRemaining) {
+                this.adTimeRemaining.textContent = this.t('adTimeRemaining', { count: remainingTime });
             }
 
-            // Show skip button after configured seconds
-            if (currentTime >= this.config.adVideo.skipAfter) {
+            // Report quartile progress
+            const progress = this.adVideo.currentTime / this.adVideo.duration;
+            if (progress >= 0.25) this.trackAdEvent('firstQuartile');
+            if (progress >= 0.5) this.trackAdEvent('midpoint');
+            if (progress >= 0.75) this.trackAdEvent('thirdQuartile');
+
+            // Show skip button after configured seconds (never for non-skippable ads)
+            const skipAfter = this.currentAd.skipAfter;
+            if (currentTime >= skipAfter) {
+                if (this.skipButton?.disabled) this.announce(this.t('skipAvailable'));
                 this.skipCountdown?.classList.add('hidden');
-                this.skipButton?.classList.remove('opacity-0', 'pointer-events-none');
-                this.skipButton?.classList.add('opacity-100', 'pointer-events-auto');
+                this.setSkipButtonAvailable(true);
             } else {
                 // Update countdown
-                if (this.skipTimer) {
-                    this.skipTimer.textContent = this.config.adVideo.skipAfter - currentTime;
+                this.setSkipCountdown(Math.ceil(skipAfter - currentTime));
+            }
+        });
+
+        // When ad starts playing
+        this.listen(this.adVideo, 'play', () => {
+            this.onPlaybackStart();
+            // Cleared again by 'playing'; catches an ad that never resumes
+            this.startAdWatchdog();
+
+            if (this.isAdPaused) {
+                this.isAdPaused = false;
+                this.trackAdEvent('resume');
+            } else {
+                this.trackAdEvent('impression');
+                this.trackAdEvent('start');
+                this.emit('adstart', this.getAdEventData());
+                this.announceAd();
+            }
+
+            // skipAfter: 0 makes the ad skippable right away
+            const canSkip = this.adVideo.currentTime >= this.currentAd?.skipAfter;
+            this.skipCountdown?.classList.toggle('hidden', canSkip || !Number.isFinite(this.currentAd?.skipAfter));
+            this.setSkipButtonAvailable(canSkip);
+            // Show ad timer when ad starts playing
+            this.adTimeRemaining?.classList.remove('hidden');
+        });
+
+        // Pause is only reported while the ad is still running (not on end or skip)
+        this.listen(this.adVideo, 'pause', () => {
+            // A deliberate pause (pauseOthers, closing the mini-player) is no stall
+            this.clearAdWatchdog();
+
+            if (this.adTracking && !this.adVideo.ended && !this.isAdPaused) {
+                this.isAdPaused = true;
+                this.trackAdEvent('pause');
+            }
+        });
+
+        this.listen(this.adVideo, 'volumechange', () => {
+            const isMuted = this.adVideo.muted || this.adVideo.volume === 0;
+            if (isMuted !== this.isAdMuted) {
+                this.isAdMuted = isMuted;
+                this.trackAdEvent(isMuted ? 'mute' : 'unmute');
+            }
+        });
+
+        // Skip button click handler
+        this.listen(this.skipButton, 'click', () => {
+            // The button can only skip once the ad's countdown has ended
+            if (!this.currentAd || this.adVideo.currentTime < this.currentAd.skipAfter) return;
+
+            this.trackAdEvent('skip');
+            this.emit('adskip', this.getAdEventData());
+            this.emit('adend', { ...this.getAdEventData(), skipped: true });
+            this.playNextPodAd();
+        });
+
+        // When ad ends, play the next ad in the pod or the main video
+        this.listen(this.adVideo, 'ended', () => {
+            this.trackAdEvent('complete');
+            this.emit('adend', { ...this.getAdEventData(), skipped: false });
+            this.playNextPodAd();
+        });
+
+        // Media file could not be played (a failing <source> fires on the source element)
+        this.listen(this.adVideo, 'error', () => this.handleAdError(405, this.adVideo.error?.message));
+        this.listen(this.adVideo.querySelector('source'), 'error', () => this.handleAdError(405));
+
+        // Ad video loading events
+        this.listen(this.adVideo, 'waiting', () => {
+            this.adLoadingSpinner?.classList.remove('hidden');
+            this.startAdWatchdog();
+        });
+
+        this.listen(this.adVideo, 'stalled', () => this.startAdWatchdog());
+
+        this.listen(this.adVideo, 'canplay', () => {
+            this.adLoadingSpinner?.classList.add('hidden');
+        });
+
+        this.listen(this.adVideo, 'playing', () => {
+            this.adLoadingSpinner?.classList.add('hidden');
+            this.clearAdWatchdog();
+        });
+
+        this.listen(this.adVideo, 'seeking', () => {
+            this.adLoadingSpinner?.classList.remove('hidden');
+        });
+
+        this.listen(this.adVideo, 'seeked', () => {
+            this.adLoadingSpinner?.classList.add('hidden');
+        });
+
+        // Resume an ad that was paused from outside (e.g. by another player)
+        this.listen(this.adVideo, 'click', () => {
+            if (this.adVideo.paused) this.adVideo.play();
+        });
+
+        // Prevent right-click context menu
+        this.listen(this.adVideo, 'contextmenu', (e) => e.preventDefault());
+    }
+
+    /**
+     * Leave the thumbnail / play overlay and start with the pre-roll, if any
+     */
+    startPlayback() {
+        this.thumbnailVideo?.classList.add('hidden');
+        this.playOverlay?.classList.add('hidden');
+        this.resumePrompt?.classList.add('hidden');
+
+        // Continue from the saved position once the pre-roll (if played) is over
+        if (this.resumePosition) {
+            this.resumeTime = this.resumePosition;
+            this.resumedFrom = this.resumePosition;
+            this.resumePosition = null;
+            if (this.config.resume.skipPreroll) {
+                this.adBreaks.forEach(adBreak => {
+                    if (adBreak.offset === 'pre') adBreak.played = true;
+                });
+            }
+        }
+
+        const preroll = this.adBreaks.find(adBreak => adBreak.offset === 'pre' && !adBreak.played);
+        if (preroll) {
+            this.playAdBreak(preroll);
+        } else {
+            this.skipToMainVideo();
+        }
+    }
+
+    /**
+     * Resolve the pre-roll's VAST tags ahead of time and load its first ad
+     */
+    preloadPreroll() {
+        const preroll = this.adBreaks.find(adBreak => adBreak.offset === 'pre');
+        if (!preroll) return;
+
+        this.prepareAdBreak(preroll).then(() => {
+            if (!this.destroyed && !this.activeAdBreak && preroll.pod.length) this.setAdSource(preroll.pod[0]);
+        });
+    }
+
+    /**
+     * Resolve the VAST tags of an ad break once; resolves when its pod is known
+     */
+    prepareAdBreak(adBreak) {
+        if (!adBreak.request) {
+            adBreak.request = Promise.all(adBreak.ads.map(ad => {
+                if (ad.url) return [ad];
+                if (ad.vastUrl || ad.vastXml) return this.loadVastAd(ad);
+                return [];
+            })).then(ads => {
+                adBreak.pod = ads.flat();
+                adBreak.pod.filter(ad => !ad.duration).forEach(ad => this.probeAdDuration(ad));
+            });
+        }
+        return adBreak.request;
+    }
+
+    /**
+     * Load only the metadata of an ad so the pod's total remaining time is
+     * known before the ad plays
+     */
+    probeAdDuration(ad) {
+        const probe = document.createElement('video');
+        probe.preload = 'metadata';
+        probe.muted = true;
+        probe.addEventListener('loadedmetadata', () => {
+            ad.duration = ad.duration || probe.duration;
+            probe.removeAttribute('src');
+            probe.load();
+        }, { once: true });
+        probe.src = ad.url;
+    }
+
+    /**
+     * Seconds left in the current ad plus every ad after it in the pod
+     */
+    getPodRemainingTime() {
+        let remaining = (this.adVideo.duration || 0) - this.adVideo.currentTime;
+        const upcoming = this.activeAdBreak?.pod.slice(this.podIndex + 1) || [];
+        upcoming.forEach(ad => { remaining += ad.duration || 0; });
+        return Math.max(0, remaining);
+    }
+
+    /**
+     * Resolve break offsets that depend on the main video duration
+     * (percentages and HH:MM:SS strings)
+     */
+    resolveAdBreakTimes() {
+        const duration = this.mainVideo.duration;
+        this.adBreaks.forEach(adBreak => {
+            if (typeof adBreak.offset === 'string' && adBreak.offset !== 'pre' && adBreak.offset !== 'post') {
+                adBreak.time = this.parseVastTime(adBreak.offset, duration);
+            }
+        });
+    }
+
+    /**
+     * Mark mid-rolls before a resumed position as played, they were passed
+     * on an earlier visit. Waits for the metadata so percentage cues are known.
+     */
+    markBreaksBeforeResume() {
+        if (this.resumedFrom === null || Number.isNaN(this.mainVideo.duration)) return;
+
+        this.adBreaks.forEach(adBreak => {
+            if (adBreak.time !== null && adBreak.time <= this.resumedFrom) adBreak.played = true;
+        });
+        this.resumedFrom = null;
+    }
+
+    /**
+     * Start the latest mid-roll whose cue point has been reached.
+     * Breaks skipped over by seeking forward are marked as played so only
+     * one break runs, and played breaks never replay on seek-back.
+     */
+    checkAdBreaks() {
+        if (this.activeAdBreak) return;
+
+        const currentTime = this.mainVideo.currentTime;
+        const due = this.adBreaks.filter(adBreak => !adBreak.played && adBreak.time !== null && adBreak.time <= currentTime);
+        if (!due.length) return;
+
+        due.forEach(adBreak => { adBreak.played = true; });
+        this.playAdBreak(due[due.length - 1]);
+    }
+
+    /**
+     * Pause the main video, show the ad overlay and play the break's ad
+     */
+    async playAdBreak(adBreak) {
+        adBreak.played = true;
+        this.activeAdBreak = adBreak;
+
+        // Remember where to resume the main video
+        if (adBreak.offset !== 'pre') {
+            this.resumeTime = this.mainVideo.currentTime;
+            this.mainVideo.pause();
+        }
+
+        // PiP would show the paused main video without the ad or its skip
+        // countdown, so ads always play inside the page
+        this.setPictureInPictureAllowed(false);
+
+        this.mainVideo?.classList.add('hidden');
+        this.mainVideoControls?.classList.add('hidden');
+        this.adOverlay?.classList.remove('hidden');
+        this.adLoadingSpinner?.classList.remove('hidden');
+
+        // Wait for a pending VAST request before deciding what to play
+        await this.prepareAdBreak(adBreak);
+        if (this.destroyed) return;
+        this.adLoadingSpinner?.classList.add('hidden');
+
+        // No ad available, go straight back to the main video
+        if (!adBreak.pod.length) {
+            this.skipToMainVideo();
+            return;
+        }
+
+        this.playPodAd(0);
+    }
+
+    /**
+     * Play the ad at `index` of the active break's pod
+     */
+    playPodAd(index) {
+        const ad = this.activeAdBreak.pod[index];
+        this.podIndex = index;
+
+        this.setAdSource(ad);
+        this.setSkipCountdown(ad.skipAfter);
+
+        // "Ad X of N" is only shown for pods with more than one ad
+        const podSize = this.activeAdBreak.pod.length;
+        if (this.adPodPosition) {
+            this.adPodPosition.textContent = this.t('adPosition', { index: index + 1, total: podSize });
+            this.adPodPosition.classList.toggle('hidden', podSize < 2);
+        }
+
+        // Reset VAST tracking state for this ad
+        this.adTracking = ad.tracking || null;
+        this.firedAdEvents = new Set();
+        this.isAdPaused = false;
+        this.isAdMuted = this.adVideo.muted || this.adVideo.volume === 0;
+
+        // The media already failed while it was preloading
+        if (ad.failed) {
+            this.trackAdEvent('error', { ERRORCODE: 405 });
+            this.playNextPodAd();
+            return;
+        }
+
+        this.adVideo.classList.remove('hidden');
+        this.adVideo.play()?.catch(() => {});
+        this.startAdWatchdog();
+    }
+
+    announceAd() {
+        const podSize = this.activeAdBreak?.pod.length || 1;
+        const ad = podSize > 1 ? this.t('adPositionAnnouncement', { index: this.podIndex + 1, total: podSize }) : this.t('ad');
+        const skipAfter = this.currentAd?.skipAfter || 0;
+        this.announce(skipAfter > 0 && Number.isFinite(skipAfter) ? this.t('skipAvailableIn', { ad, count: skipAfter }) : ad);
+    }
+
+    /**
+     * Show the skip button, or hide it and keep it out of the tab order and
+     * the accessibility tree while the ad cannot be skipped
+     */
+    setSkipButtonAvailable(available) {
+        if (!this.skipButton) return;
+        this.skipButton.disabled = !available;
+        this.skipButton.setAttribute('aria-hidden', String(!available));
+        this.skipButton.classList.toggle('opacity-0', !available);
+        this.skipButton.classList.toggle('pointer-events-none', !available);
+        this.skipButton.classList.toggle('opacity-100', available);
+        this.skipButton.classList.toggle('pointer-events-auto', available);
+    }
+
+    /**
+     * "Skip in N seconds" shown until the skip button appears
+     */
+    setSkipCountdown(seconds) {
+        if (this.skipCountdown && Number.isFinite(seconds)) this.skipCountdown.textContent = this.t('skipIn', { count: seconds });
+    }
+
+    /**
+     * Report a failed ad and move on to the next ad or the main video.
+     * Errors while the ad is only preloading mark it so the break skips it.
+     */
+    handleAdError(vastCode, message) {
+        const ad = this.currentAd;
+        if (!ad || ad.failed) return;
+        ad.failed = true;
+
+        this.emit('error', { source: 'ad', code: vastCode, message: message || 'Ad media could not be played' });
+        if (!this.activeAdBreak) return;
+
+        this.clearAdWatchdog();
+        this.trackAdEvent('error', { ERRORCODE: vastCode });
+        this.adTracking = null;
+        this.playNextPodAd();
+    }
+
+    /**
+     * Skip the ad if it does not start playing within adLoadTimeout
+     */
+    startAdWatchdog() {
+        if (!this.config.adLoadTimeout || !this.activeAdBreak || this.adWatchdog) return;
+
+        this.adWatchdog = setTimeout(() => {
+            this.adWatchdog = null;
+            this.handleAdError(402, `Ad did not start within ${this.config.adLoadTimeout} ms`);
+        }, this.config.adLoadTimeout);
+    }
+
+    clearAdWatchdog() {
+        clearTimeout(this.adWatchdog);
+        this.adWatchdog = null;
+    }
+
+    /**
+     * Move on to the next ad in the pod, or back to the main video after the last one
+     */
+    playNextPodAd() {
+        const adBreak = this.activeAdBreak;
+        if (adBreak && this.podIndex < adBreak.pod.length - 1) {
+            this.adTracking = null;
+            this.playPodAd(this.podIndex + 1);
+        } else {
+            this.skipToMainVideo();
+        }
+    }
+
+    /**
+     * End the current ad break and hand playback back to the main video
+     */
+    skipToMainVideo() {
+        const adBreak = this.activeAdBreak;
+        this.stopAdPlayback();
+
+        // Show main video
+        this.mainVideo?.classList.remove('hidden');
+        this.mainVideoControls?.classList.remove('hidden');
+
+        // A post-roll leaves the main video at its end (stopAdPlayback()
+        // already cleared activeAdBreak), so there is nothing to resume
+        if (adBreak?.offset === 'post') {
+            this.resumeTime = null;
+            this.startUpNext();
+            return;
+        }
+
+        // Resume at the exact position the break interrupted
+        if (this.resumeTime !== null) {
+            this.mainVideo.currentTime = this.resumeTime;
+            this.resumeTime = null;
+            this.markBreaksBeforeResume();
+        }
+        this.mainVideo?.play();
+    }
+
+    /**
+     * Stop the running ad break (if any) and hide the ad layer
+     */
+    stopAdPlayback() {
+        this.activeAdBreak = null;
+        this.clearAdWatchdog();
+        this.setPictureInPictureAllowed(true);
+
+        // Ad is over, stop reporting its events
+        this.adTracking = null;
+
+        // Stop the ad video and unload its media so it fires no more events
+        this.adVideo?.pause();
+        this.clearAdSource();
+
+        // Hide ad elements
+        this.adVideo?.classList.add('hidden');
+        this.adOverlay?.classList.add('hidden');
+        this.adLoadingSpinner?.classList.add('hidden');
+
+        // Hide ad timer
+        this.adTimeRemaining?.classList.add('hidden');
+    }
+
+    // ============ VAST AD LOADING ============
+
+    /**
+     * Resolve adVideo.vastUrl / adVideo.vastXml of an ad config into
+     * playable ad configs (several when the tag returns an ad pod).
+     * Resolves to an empty array when the tag yields no usable ad.
+     */
+    async loadVastAd(adVideo) {
+        const tracking = { impression: [], error: [], events: {} };
+
+        try {
+            const xml = adVideo.vastXml || await this.fetchVast(adVideo.vastUrl);
+            const ads = await this.parseVast(xml, 0, tracking, adVideo.type);
+
+            return ads.map(ad => ({
+                ...adVideo,
+                url: ad.url,
+                type: ad.type,
+                duration: ad.duration,
+                skipAfter: ad.skipAfter,
+                tracking: ad.tracking
+            }));
+        } catch (error) {
+            console.warn('VAST ad could not be loaded:', error.message);
+            this.emit('error', { source: 'vast', code: error.vastCode || 900, message: error.message });
+            this.sendVastBeacons(error.errorUrls || tracking.error, { ERRORCODE: error.vastCode || 900 });
+            return [];
+        }
+    }
+
+    async fetchVast(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw this.createVastError(`VAST request failed: ${error.message}`, 301);
+        }
+        if (!response.ok) {
+            throw this.createVastError(`VAST request failed with status ${response.status}`, 301);
+        }
+        return response.text();
+    }
+
+    /**
+     * Create an Error carrying a VAST error code for the [ERRORCODE] macro
+     */
+    createVastError(message, code) {
+        const error = new Error(message);
+        error.vastCode = code;
+        return error;
+    }
+
+    /**
+     * Parse a VAST 3/4 document and return its linear ads. Ads with a
+     * `sequence` attribute form a pod and play in order; otherwise the first
+     * ad is used. Wrapper redirects are followed up to
+     * config.vastMaxWrapperDepth, and the Impression, Error and tracking URLs
+     * of every wrapper in the chain are collected into each ad's tracking.
+     */
+    async parseVast(xml, depth, tracking, type) {
+        const doc = new DOMParser().parseFromString(xml, 'text/xml');
+        if (doc.querySelector('parsererror')) {
+            throw this.createVastError('VAST response is not valid XML', 100);
+        }
+
+        // Root-level <Error> is reported when the response has no ads
+        doc.querySelectorAll('VAST > Error').forEach(el => this.pushVastUrl(tracking.error, el));
+
+        const adEls = Array.from(doc.querySelectorAll('VAST > Ad'));
+        if (!adEls.length) {
+            throw this.createVastError('VAST response contains no ads', 303);
+        }
+
+        const podEls = adEls
+            .filter(el => el.hasAttribute('sequence'))
+            .sort((a, b) => parseInt(a.getAttribute('sequence'), 10) - parseInt(b.getAttribute('sequence'), 10));
+        const selected = podEls.length ? podEls : [adEls[0]];
+
+        const ads = [];
+        for (const adEl of selected) {
+            const adTracking = {
+                impression: [...tracking.impression],
+                error: [...tracking.error],
+                events: Object.fromEntries(Object.entries(tracking.events).map(([event, urls]) => [event, [...urls]]))
+            };
+
+            try {
+                ads.push(...await this.parseVastAd(adEl, depth, adTracking, type));
+            } catch (error) {
+                // A lone ad fails the whole tag, a broken pod ad is only dropped
+                if (selected.length === 1) {
+                    error.errorUrls = error.errorUrls || adTracking.error;
+                    throw error;
                 }
+                console.warn('VAST pod ad skipped:', error.message);
+                this.sendVastBeacons(error.errorUrls || adTracking.error, { ERRORCODE: error.vastCode || 900 });
+            }
+        }
+
+        if (!ads.length) {
+            throw this.createVastError('VAST response contains no playable ads', 303);
+        }
+        return ads;
+    }
+
+    /**
+     * Resolve a single <Ad> element (InLine or Wrapper) into linear ads
+     */
+    async parseVastAd(adEl, depth, tracking, type) {
+        this.collectVastTracking(adEl, tracking);
+
+        const wrapper = adEl.querySelector(':scope > Wrapper');
+        if (wrapper) {
+            if (depth >= this.config.vastMaxWrapperDepth) {
+                throw this.createVastError('VAST wrapper limit reached', 302);
             }
+            const tagUrl = wrapper.querySelector('VASTAdTagURI')?.textContent.trim();
+            if (!tagUrl) {
+                throw this.createVastError('VAST wrapper has no VASTAdTagURI', 301);
+            }
+            return this.parseVast(await this.fetchVast(tagUrl), depth + 1, tracking, type);
+        }
+
+        const linear = adEl.querySelector(':scope > InLine Creatives Creative > Linear');
+        if (!linear) {
+            throw this.createVastError('VAST ad has no linear creative', 201);
+        }
+
+        const mediaFile = this.selectVastMediaFile(linear, type);
+        if (!mediaFile) {
+            throw this.createVastError(`VAST ad has no media file of type ${type}`, 403);
+        }
+
+        const duration = this.parseVastTime(linear.querySelector(':scope > Duration')?.textContent);
+
+        return [{
+            url: mediaFile.url,
+            type: mediaFile.type,
+            duration: duration,
+            // A creative without skipoffset is not skippable
+            skipAfter: this.parseVastTime(linear.getAttribute('skipoffset'), duration) ?? Infinity,
+            tracking: tracking
+        }];
+    }
+
+    /**
+     * Add the Impression, Error and linear TrackingEvents URLs of an <Ad>
+     */
+    collectVastTracking(adEl, tracking) {
+        adEl.querySelectorAll(':scope > * > Impression').forEach(el => this.pushVastUrl(tracking.impression, el));
+        adEl.querySelectorAll(':scope > * > Error').forEach(el => this.pushVastUrl(tracking.error, el));
+
+        adEl.querySelectorAll('Linear > TrackingEvents > Tracking').forEach(el => {
+            const event = el.getAttribute('event');
+            if (!event) return;
+            tracking.events[event] = tracking.events[event] || [];
+            this.pushVastUrl(tracking.events[event], el);
+        });
+    }
+
+    pushVastUrl(list, el) {
+        const url = el.textContent.trim();
+        if (url) list.push(url);
+    }
+
+    /**
+     * Pick the progressive MediaFile of the given type whose width is
+     * closest to the player width
+     */
+    selectVastMediaFile(linear, type) {
+        const targetWidth = this.container?.clientWidth || 640;
+        const files = Array.from(linear.querySelectorAll('MediaFiles > MediaFile'))
+            .map(el => ({
+                url: el.textContent.trim(),
+                type: el.getAttribute('type'),
+                delivery: el.getAttribute('delivery'),
+                width: parseInt(el.getAttribute('width'), 10) || 0
+            }))
+            .filter(file => file.url && file.type === type && file.delivery !== 'streaming');
+
+        files.sort((a, b) => Math.abs(a.width - targetWidth) - Math.abs(b.width - targetWidth));
+        return files[0] || null;
+    }
+
+    /**
+     * Convert a VAST time value (HH:MM:SS.mmm or a percentage of duration)
+     * to seconds, or null when it cannot be resolved
+     */
+    parseVastTime(value, duration) {
+        if (!value) return null;
+        value = value.trim();
+
+        if (value.endsWith('%')) {
+            return duration ? duration * parseFloat(value) / 100 : null;
+        }
+
+        const parts = value.split(':').map(parseFloat);
+        if (parts.some(isNaN)) return null;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    // ============ VAST TRACKING ============
+
+    /**
+     * Fire the tracking URLs of the current ad for an event.
+     * Everything except pause/resume/mute/unmute is sent at most once per ad.
+     */
+    trackAdEvent(event, macros = {}) {
+        if (!this.adTracking) return;
+
+        const repeatable = ['pause', 'resume', 'mute', 'unmute'];
+        if (!repeatable.includes(event)) {
+            if (this.firedAdEvents.has(event)) return;
+            this.firedAdEvents.add(event);
+        }
+
+        let urls;
+        if (event === 'impression') {
+            urls = this.adTracking.impression;
+        } else if (event === 'error') {
+            urls = this.adTracking.error;
+        } else {
+            urls = this.adTracking.events[event];
+        }
+
+        this.sendVastBeacons(urls, macros);
+    }
+
+    sendVastBeacons(urls, macros = {}) {
+        (urls || []).forEach(url => {
+            const image = new Image();
+            image.src = this.replaceVastMacros(url, macros);
+        });
+    }
+
+    /**
+     * Substitute VAST macros such as [CACHEBUSTING] and [ERRORCODE]
+     */
+    replaceVastMacros(url, macros = {}) {
+        const adPlayhead = this.formatVastTime(this.adVideo?.currentTime || 0);
+        const values = {
+            CACHEBUSTING: String(Math.floor(Math.random() * 90000000) + 10000000),
+            TIMESTAMP: new Date().toISOString(),
+            ADPLAYHEAD: adPlayhead,
+            CONTENTPLAYHEAD: this.formatVastTime(this.mainVideo?.currentTime || 0),
+            MEDIAPLAYHEAD: this.formatVastTime(this.mainVideo?.currentTime || 0),
+            ASSETURI: this.currentAd?.url || '',
+            ...macros
+        };
+
+        return url.replace(/\[([A-Z_]+)\]/g, (match, name) => {
+            return name in values ? encodeURIComponent(values[name]) : match;
         });
+    }
+
+    formatVastTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = (seconds % 60).toFixed(3);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(hours)}:${pad(mins)}:${secs.padStart(6, '0')}`;
+    }
+
+    // ============ CHAPTERS & PROGRESS MARKERS ============
+
+    /**
+     * Load mainVideo.chapters from a config array or a WebVTT chapters file
+     */
+    async loadChapters() {
+        const source = this.config.mainVideo.chapters;
+        this.chapters = [];
+        if (!source) return;
+
+        try {
+            let chapters;
+            if (typeof source === 'string') {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`request failed with status ${response.status}`);
+                }
+                chapters = this.parseVtt(await response.text())
+                    .map(cue => ({ start: cue.start, end: cue.end, title: cue.text }));
+            } else {
+                chapters = source.map(chapter => ({
+                    start: typeof chapter.start === 'string' ? this.parseVastTime(chapter.start) : chapter.start,
+                    end: null,
+                    title: chapter.title
+                }));
+            }
+
+            this.chapters = chapters
+                .filter(chapter => Number.isFinite(chapter.start))
+                .sort((a, b) => a.start - b.start);
+        } catch (error) {
+            console.warn('Chapters could not be loaded:', error.message);
+        }
+
+        if (this.destroyed) return;
+        this.renderProgressMarkers();
+        this.updateCurrentChapter();
+    }
+
+    /**
+     * Parse a WebVTT document into cues ({ start, end, text })
+     */
+    parseVtt(text) {
+        const cues = [];
+        const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+        blocks.forEach(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) return;
+
+            const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+            cues.push({
+                start: this.parseVttTime(start),
+                end: this.parseVttTime(end),
+                text: lines.slice(timingIndex + 1).join('\n').trim()
+            });
+        });
+
+        return cues;
+    }
+
+    /**
+     * Convert a WebVTT timestamp (HH:MM:SS.mmm or MM:SS.mmm) to seconds
+     */
+    parseVttTime(value) {
+        return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    /**
+     * Chapter playing at `time`, or null
+     */
+    getChapterAt(time) {
+        let current = null;
+        for (const chapter of this.chapters) {
+            if (chapter.start > time) break;
+            current = chapter.end === null || time < chapter.end ? chapter : null;
+        }
+        return current;
+    }
+
+    updateCurrentChapter() {
+        if (!this.currentChapterEl) return;
+
+        const chapter = this.getChapterAt(this.mainVideo?.currentTime || 0);
+        this.currentChapterEl.textContent = chapter ? chapter.title : '';
+        this.currentChapterEl.classList.toggle('hidden', !chapter);
+    }
+
+    /**
+     * Draw tick marks for mid-roll ad cue points and chapter starts
+     */
+    renderProgressMarkers() {
+        if (!this.progressMarkers) return;
+        this.progressMarkers.innerHTML = '';
+
+        const duration = this.mainVideo?.duration;
+        if (!duration || !isFinite(duration)) return;
+
+        const addMarker = (time, className) => {
+            const marker = document.createElement('div');
+            marker.className = `absolute top-0 h-full ${className}`;
+            marker.style.left = (time / duration * 100) + '%';
+            this.progressMarkers.appendChild(marker);
+        };
+
+        // The first chapter starts at 0 and needs no marker
+        this.chapters
+            .filter(chapter => chapter.start > 0 && chapter.start < duration)
+            .forEach(chapter => addMarker(chapter.start, 'w-0.5 bg-black/70'));
+
+        this.adBreaks
+            .filter(adBreak => adBreak.time !== null && adBreak.time > 0 && adBreak.time < duration)
+            .forEach(adBreak => addMarker(adBreak.time, 'w-1 -ml-0.5 bg-yellow-400 rounded-full'));
+    }
+
+    // ============ PREVIEW THUMBNAILS ============
+
+    /**
+     * Load mainVideo.previewThumbnails, a WebVTT storyboard whose cues point
+     * at images or sprite regions (`sprite.jpg#xywh=0,0,160,90`)
+     */
+    async loadPreviewThumbnails() {
+        const source = this.config.mainVideo.previewThumbnails;
+        this.previewThumbnails = [];
+        if (!source) return;
+
+        try {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`request failed with status ${response.status}`);
+            }
+            const text = await response.text();
+
+            // A newer loadVideo() replaced the media while this was loading
+            if (this.destroyed || this.config.mainVideo.previewThumbnails !== source) return;
+
+            // Image paths in the storyboard are relative to the .vtt file
+            const baseUrl = new URL(source, document.baseURI);
+            this.previewThumbnails = this.parseVtt(text)
+                .map(cue => this.parseStoryboardCue(cue, baseUrl))
+                .filter(Boolean);
+        } catch (error) {
+            console.warn('Preview thumbnails could not be loaded:', error.message);
+        }
+    }
+
+    parseStoryboardCue(cue, baseUrl) {
+        const [path, fragment] = cue.text.trim().split('#');
+        if (!path) return null;
+
+        const frame = { start: cue.start, end: cue.end, url: new URL(path, baseUrl).href, x: 0, y: 0, width: null, height: null };
+        const xywh = fragment?.match(/^xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)$/);
+        if (xywh) {
+            [frame.x, frame.y, frame.width, frame.height] = xywh.slice(1).map(Number);
+        }
+        return frame;
+    }
+
+    getPreviewThumbnailAt(time) {
+        return this.previewThumbnails.find(frame => time >= frame.start && time < frame.end) || null;
+    }
+
+    /**
+     * Show the storyboard frame for `time` in the seek tooltip.
+     * Returns the preview width in pixels (0 when there is no frame).
+     */
+    updatePreviewThumbnail(time) {
+        if (!this.previewThumbnail || !this.previewFrame) return 0;
+
+        const frame = this.getPreviewThumbnailAt(time);
+        if (!frame) {
+            this.previewThumbnail.classList.add('hidden');
+            return 0;
+        }
+
+        // Frames without xywh are whole images shown at 160px wide
+        const width = frame.width || 160;
+        const height = frame.height || 90;
+
+        // Larger in fullscreen, but never wider than a third of the bar
+        const isFullscreen = document.fullscreenElement === this.videoContainer;
+        const barWidth = this.progressBarContainer.getBoundingClientRect().width;
+        let scale = isFullscreen ? 1.5 : 1;
+        if (barWidth) scale = Math.min(scale, barWidth / 3 / width);
+
+        this.previewFrame.style.width = width + 'px';
+        this.previewFrame.style.height = height + 'px';
+        this.previewFrame.style.backgroundImage = `url("${frame.url}")`;
+        this.previewFrame.style.backgroundPosition = frame.width ? `-${frame.x}px -${frame.y}px` : 'center';
+        this.previewFrame.style.backgroundSize = frame.width ? 'auto' : 'cover';
+        this.previewFrame.style.transform = `scale(${scale})`;
+
+        this.previewThumbnail.style.width = width * scale + 'px';
+        this.previewThumbnail.style.height = height * scale + 'px';
+        this.previewThumbnail.classList.remove('hidden');
+
+        return width * scale;
+    }
+
+    // ============ STREAMING (HLS / DASH) ============
+
+    isHlsSource(url, type) {
+        const hlsTypes = ['application/x-mpegurl', 'application/vnd.apple.mpegurl'];
+        return hlsTypes.includes((type || '').toLowerCase()) || /\.m3u8(\?|#|$)/i.test(url || '');
+    }
+
+    /**
+     * Play an HLS manifest natively where the browser supports it,
+     * otherwise through hls.js (Media Source Extensions)
+     */
+    attachHls() {
+        const url = this.config.mainVideo.url;
+        const nativeHls = this.mainVideo.canPlayType('application/vnd.apple.mpegurl');
+
+        if (nativeHls) {
+            const mainSource = this.mainVideo.querySelector('source');
+            if (mainSource) {
+                mainSource.src = url;
+                mainSource.type = 'application/vnd.apple.mpegurl';
+            }
+            this.mainVideo.load();
+            this.loadNativeHlsLevels(url);
+            return;
+        }
+
+        if (!window.Hls?.isSupported()) {
+            console.error('HLS playback requires native support or hls.js (window.Hls)');
+            return;
+        }
+
+        this.hls = new window.Hls(this.config.hlsConfig);
+        this.hls.on(window.Hls.Events.MANIFEST_PARSED, (event, data) => {
+            this.setQualityLevels(data.levels.map((level, index) => ({
+                id: index,
+                height: level.height,
+                bitrate: level.bitrate
+            })));
+        });
+        this.hls.on(window.Hls.Events.LEVEL_SWITCHED, () => this.updateQualityLabel());
+        this.hls.on(window.Hls.Events.ERROR, (event, data) => {
+            if (data.fatal) {
+                console.error('HLS playback error:', data.type, data.details);
+                this.handleMainError('hls', data.type === window.Hls.ErrorTypes.NETWORK_ERROR ? 2 : 3, data.details);
+            }
+        });
+        this.hls.loadSource(url);
+        this.hls.attachMedia(this.mainVideo);
+    }
+
+    /**
+     * Native HLS picks renditions itself; read the master playlist so a
+     * rendition can be locked by loading its media playlist directly
+     */
+    async loadNativeHlsLevels(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return;
+            const variants = this.parseHlsMaster(await response.text(), response.url || url);
+            this.setQualityLevels(variants.map((variant, index) => ({ id: index, ...variant })));
+        } catch (error) {
+            console.warn('HLS renditions could not be read:', error.message);
+        }
+    }
+
+    /**
+     * Read the variant streams (URL, bandwidth, height) of an HLS master playlist
+     */
+    parseHlsMaster(text, baseUrl) {
+        const lines = text.split(/\r?\n/).map(line => line.trim());
+        const variants = [];
+
+        lines.forEach((line, index) => {
+            if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+
+            const attributes = line.slice('#EXT-X-STREAM-INF:'.length);
+            const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+            if (!uri) return;
+
+            variants.push({
+                url: new URL(uri, baseUrl).href,
+                bitrate: parseInt(/(?:^|,)BANDWIDTH=(\d+)/.exec(attributes)?.[1], 10) || 0,
+                height: parseInt(/RESOLUTION=\d+x(\d+)/.exec(attributes)?.[1], 10) || 0
+            });
+        });
+
+        return variants;
+    }
+
+    isDashSource(url, type) {
+        return (type || '').toLowerCase() === 'application/dash+xml' || /\.mpd(\?|#|$)/i.test(url || '');
+    }
+
+    /**
+     * Play an MPEG-DASH manifest through dash.js (Media Source Extensions)
+     */
+    attachDash() {
+        const dashjs = window.dashjs;
+        if (!dashjs?.supportsMediaSource?.()) {
+            console.error('DASH playback requires Media Source Extensions and dash.js (window.dashjs)');
+            return;
+        }
+
+        const events = dashjs.MediaPlayer.events;
+        this.dash = dashjs.MediaPlayer().create();
+        this.dash.updateSettings(this.config.dashConfig);
+
+        this.dash.on(events.STREAM_INITIALIZED, () => {
+            this.setQualityLevels(this.dash.getBitrateInfoListFor('video').map(info => ({
+                id: info.qualityIndex,
+                height: info.height,
+                bitrate: info.bitrate
+            })));
+        });
+        this.dash.on(events.QUALITY_CHANGE_RENDERED, (e) => {
+            if (e.mediaType === 'video') this.updateQualityLabel();
+        });
+        this.dash.on(events.ERROR, (e) => {
+            console.error('DASH playback error:', e.error?.message || e.error);
+            const isNetworkError = DASH_NETWORK_ERROR_CODES.includes(e.error?.code);
+            this.handleMainError('dash', isNetworkError ? 2 : 4, e.error?.message || String(e.error));
+        });
+
+        this.dash.initialize(this.mainVideo, this.config.mainVideo.url, false);
+    }
+
+    destroyStreaming() {
+        if (this.hls) {
+            this.hls.destroy();
+            this.hls = null;
+        }
+        if (this.dash) {
+            this.dash.reset();
+            this.dash = null;
+        }
+    }
+
+    // ============ QUALITY SELECTION ============
+
+    /**
+     * Store the available renditions ({ id, height, bitrate, url? }),
+     * highest first unless `sort` is false, and rebuild the Quality submenu
+     */
+    setQualityLevels(levels, sort = true) {
+        if (this.destroyed) return;
+        this.qualityLevels = levels.map(level => ({
+            ...level,
+            label: level.label || (level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps`)
+        }));
+        if (sort) {
+            this.qualityLevels.sort((a, b) => (b.height - a.height) || (b.bitrate - a.bitrate));
+        }
+        this.renderQualityOptions();
+    }
+
+    renderQualityOptions() {
+        if (!this.qualitySubmenu) return;
+        this.qualitySubmenu.innerHTML = '';
+
+        // Progressive sources have no adaptive mode
+        const qualities = [
+            ...(this.hasAutoQuality ? [{ value: 'auto', label: this.t('qualityAuto') }] : []),
+            ...this.qualityLevels.map(level => ({ value: String(level.id), label: level.label }))
+        ];
+
+        qualities.forEach(quality => {
+            const btn = document.createElement('button');
+            btn.className = `quality-option w-full px-6 py-2 hover:bg-white/10 transition-colors text-start text-sm${quality.value === String(this.currentQualityId) ? ' bg-white/20' : ''}`;
+            btn.setAttribute('role', 'menuitemradio');
+            btn.setAttribute('aria-checked', String(quality.value === String(this.currentQualityId)));
+            btn.setAttribute('data-quality', quality.value);
+            btn.textContent = quality.label;
+
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setQuality(quality.value);
+                this.closeSettingsMenu();
+            });
+
+            this.qualitySubmenu.appendChild(btn);
+        });
+
+        this.qualityOptions = this.qualitySubmenu.querySelectorAll('.quality-option');
+        this.applyAccessibilityClasses(this.qualitySubmenu);
+        this.updateQualityLabel();
+    }
+
+    /**
+     * Select a rendition by id, or 'auto' for bandwidth-based switching
+     */
+    setQuality(value) {
+        if (this.destroyed) return;
+        const id = value === 'auto' ? 'auto' : Number(value);
+        const level = this.qualityLevels.find(item => item.id === id);
+        if (id === 'auto' ? !this.hasAutoQuality : !level) return;
+        if (id === this.currentQualityId) return;
+
+        this.currentQualityId = id;
+
+        if (this.hls) {
+            // hls.js flushes the buffer and keeps the playback position
+            this.hls.currentLevel = id === 'auto' ? -1 : id;
+        } else if (this.dash) {
+            this.dash.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: id === 'auto' } } } });
+            if (id !== 'auto') {
+                // Replace the buffered segments so the switch is immediate
+                this.dash.setQualityFor('video', id, true);
+            }
+        } else if (!this.hasAutoQuality) {
+            this.switchMainSource(level.url, level.type);
+        } else if (this.isHlsSource(this.config.mainVideo.url, this.config.mainVideo.type)) {
+            this.switchMainSource(id === 'auto' ? this.config.mainVideo.url : level.url, 'application/vnd.apple.mpegurl');
+        }
+
+        this.qualityOptions?.forEach(opt => {
+            this.setOptionChecked(opt, opt.dataset.quality === String(id));
+        });
+        this.updateQualityLabel();
+
+        this.emit('qualitychange', { quality: id, level: level || null });
+    }
+
+    /**
+     * Show the selected quality; in Auto mode with hls.js or dash.js, also
+     * the playing rendition
+     */
+    updateQualityLabel() {
+        if (!this.currentQuality) return;
+
+        if (this.currentQualityId !== 'auto') {
+            const level = this.qualityLevels.find(item => item.id === this.currentQualityId);
+            this.currentQuality.textContent = level ? level.label : this.t('qualityAuto');
+            return;
+        }
+
+        let playingId = null;
+        if (this.hls) playingId = this.hls.currentLevel;
+        if (this.dash) playingId = this.dash.getQualityFor('video');
+
+        const playing = this.qualityLevels.find(item => item.id === playingId);
+        this.currentQuality.textContent = playing ? this.t('qualityAutoPlaying', { quality: playing.label }) : this.t('qualityAuto');
+    }
+
+    // ============ SUBTITLES & CAPTIONS ============
+
+    /**
+     * Build the CC button / Subtitles menu state from mainVideo.tracks and
+     * turn on the default track
+     */
+    setupTextTracks() {
+        this.captionStyle = this.loadCaptionStyle();
+        this.renderCaptionStyleOptions();
+        this.applyCaptionStyle();
+
+        this.textTracks = this.config.mainVideo.tracks.map(track => ({ ...track, cues: null, request: null }));
+        this.activeTrackIndex = -1;
+
+        const defaultIndex = this.textTracks.findIndex(track => track.default);
+        this.lastTrackIndex = Math.max(0, defaultIndex);
+
+        const hasTracks = this.textTracks.length > 0;
+        this.captionsBtn?.classList.toggle('hidden', !hasTracks);
+        this.subtitlesSection?.classList.toggle('hidden', !hasTracks);
+
+        this.renderSubtitleOptions();
+        this.setTextTrack(defaultIndex);
+    }
+
+    renderSubtitleOptions() {
+        if (!this.subtitlesSubmenu) return;
+        this.subtitlesSubmenu.innerHTML = '';
+
+        const options = [
+            { value: -1, label: this.t('subtitlesOff') },
+            ...this.textTracks.map((track, index) => ({ value: index, label: track.label }))
+        ];
+
+        options.forEach(option => {
+            const btn = document.createElement('button');
+            btn.className = `subtitles-option w-full px-6 py-2 hover:bg-white/10 transition-colors text-start text-sm${option.value === this.activeTrackIndex ? ' bg-white/20' : ''}`;
+            btn.setAttribute('role', 'menuitemradio');
+            btn.setAttribute('aria-checked', String(option.value === this.activeTrackIndex));
+            btn.setAttribute('data-track', option.value);
+            btn.textContent = option.label;
+
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setTextTrack(option.value);
+                this.closeSettingsMenu();
+            });
+
+            this.subtitlesSubmenu.appendChild(btn);
+        });
+
+        this.subtitleOptions = this.subtitlesSubmenu.querySelectorAll('.subtitles-option');
+        this.applyAccessibilityClasses(this.subtitlesSubmenu);
+    }
+
+    /**
+     * Show the text track at `index`, or turn captions off with -1
+     */
+    async setTextTrack(index) {
+        if (this.destroyed) return;
+        const track = this.textTracks[index];
+        this.activeTrackIndex = track ? index : -1;
+        if (track) this.lastTrackIndex = index;
+
+        if (this.currentSubtitles) {
+            this.currentSubtitles.textContent = track ? track.label : this.t('subtitlesOff');
+        }
+        this.subtitleOptions?.forEach(opt => {
+            this.setOptionChecked(opt, Number(opt.dataset.track) === this.activeTrackIndex);
+        });
+        this.captionsBtn?.setAttribute('aria-pressed', String(!!track));
+        this.captionsBtn?.classList.toggle('vp-accent-border', !!track);
+        this.captionsBtn?.classList.toggle('border-transparent', !track);
+
+        if (track) await this.loadTextTrack(track);
+        if (this.destroyed) return;
+        this.updateCaptions();
+    }
+
+    toggleCaptions() {
+        if (this.destroyed || !this.textTracks.length) return;
+        this.setTextTrack(this.activeTrackIndex === -1 ? this.lastTrackIndex : -1);
+    }
+
+    /**
+     * Fetch and parse a track once, converting SRT to WebVTT on the fly
+     */
+    loadTextTrack(track) {
+        if (!track.request) {
+            track.request = fetch(track.src)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`request failed with status ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(text => {
+                    const isVtt = text.trimStart().startsWith('WEBVTT');
+                    track.cues = this.parseVtt(isVtt ? text : this.srtToVtt(text));
+                })
+                .catch(error => {
+                    console.warn(`Text track "${track.label}" could not be loaded:`, error.message);
+                    track.cues = [];
+                });
+        }
+        return track.request;
+    }
+
+    /**
+     * Convert SubRip (SRT) text to WebVTT
+     */
+    srtToVtt(text) {
+        const body = text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+        return `WEBVTT\n\n${body}`;
+    }
+
+    /**
+     * Render the active cues of the selected track into the caption overlay
+     */
+    updateCaptions() {
+        if (!this.captionText) return;
+
+        const track = this.textTracks[this.activeTrackIndex];
+        const time = this.mainVideo?.currentTime || 0;
+        const cues = track?.cues?.filter(cue => cue.start <= time && time < cue.end) || [];
+
+        // Cue markup (<i>, <b>, <v Speaker>) is stripped, text only
+        const text = cues.map(cue => cue.text.replace(/<[^>]+>/g, '')).join('\n');
+        this.captionText.textContent = text;
+        this.captionText.classList.toggle('hidden', !text);
+    }
+
+    // ============ CAPTION STYLE ============
+
+    /**
+     * Read the viewer's saved caption style on top of the configured defaults
+     */
+    loadCaptionStyle() {
+        const style = this.getDefaultCaptionStyle();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(CAPTION_STYLE_STORAGE_KEY) || '{}');
+            Object.keys(CAPTION_STYLE_OPTIONS).forEach(key => {
+                if (CAPTION_STYLE_OPTIONS[key].values.some(option => option.value === saved[key])) {
+                    style[key] = saved[key];
+                }
+            });
+        } catch (error) {
+            console.warn('Saved caption style could not be read:', error.message);
+        }
+
+        return style;
+    }
+
+    /**
+     * Built-in defaults merged with config.captionStyle (values as strings, e.g. fontSize: '150')
+     */
+    getDefaultCaptionStyle() {
+        const style = { ...CAPTION_STYLE_DEFAULTS };
+        Object.entries(this.config.captionStyle).forEach(([key, value]) => {
+            if (key in style) style[key] = String(value);
+        });
+        return style;
+    }
+
+    saveCaptionStyle() {
+        try {
+            localStorage.setItem(CAPTION_STYLE_STORAGE_KEY, JSON.stringify(this.captionStyle));
+        } catch (error) {
+            console.warn('Caption style could not be saved:', error.message);
+        }
+    }
+
+    renderCaptionStyleOptions() {
+        if (!this.captionStyleSubmenu) return;
+        this.captionStyleSubmenu.innerHTML = '';
+
+        const percentFormat = new Intl.NumberFormat(this.config.locale, { style: 'percent' });
+        Object.entries(CAPTION_STYLE_OPTIONS).forEach(([key, group]) => {
+            const label = document.createElement('div');
+            label.className = 'px-4 pt-2 pb-1 text-xs text-gray-400';
+            const groupLabel = this.t(group.label);
+            label.textContent = groupLabel;
+
+            const row = document.createElement('div');
+            row.className = 'flex flex-wrap gap-1 px-4';
+
+            group.values.forEach(option => {
+                const optionLabel = group.percent ? percentFormat.format(option.value / 100) : this.t(option.label);
+                const btn = document.createElement('button');
+                btn.className = `caption-style-option px-2 py-1 rounded text-xs hover:bg-white/10 transition-colors${this.captionStyle[key] === option.value ? ' bg-white/20' : ''}`;
+                btn.setAttribute('role', 'menuitemradio');
+                btn.setAttribute('aria-checked', String(this.captionStyle[key] === option.value));
+                btn.setAttribute('aria-label', `${groupLabel}: ${optionLabel}`);
+                btn.setAttribute('data-style', key);
+                btn.setAttribute('data-value', option.value);
+                btn.textContent = optionLabel;
+
+                // Keep the menu open so several settings can be changed in a row
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setCaptionStyle({ [key]: option.value });
+                });
+
+                row.appendChild(btn);
+            });
+
+            this.captionStyleSubmenu.appendChild(label);
+            this.captionStyleSubmenu.appendChild(row);
+        });
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'w-full mt-2 px-4 py-2 hover:bg-white/10 transition-colors text-start text-sm text-gray-300';
+        resetBtn.setAttribute('role', 'menuitem');
+        resetBtn.textContent = this.t('captionStyleReset');
+        resetBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setCaptionStyle(this.getDefaultCaptionStyle());
+        });
+        this.captionStyleSubmenu.appendChild(resetBtn);
+        this.applyAccessibilityClasses(this.captionStyleSubmenu);
+    }
+
+    /**
+     * Update part of the caption style, apply it and remember it for this viewer
+     */
+    setCaptionStyle(changes) {
+        if (this.destroyed) return;
+        this.captionStyle = { ...this.captionStyle, ...changes };
+
+        this.captionStyleSubmenu?.querySelectorAll('.caption-style-option').forEach(opt => {
+            this.setOptionChecked(opt, this.captionStyle[opt.dataset.style] === opt.dataset.value);
+        });
+
+        this.applyCaptionStyle();
+        this.saveCaptionStyle();
+    }
+
+    applyCaptionStyle() {
+        if (!this.captionText) return;
+        const { fontSize, color, backgroundOpacity, edgeStyle, fontFamily } = this.captionStyle;
+
+        this.captionText.style.fontSize = `${1.125 * parseInt(fontSize, 10) / 100}rem`;
+        this.captionText.style.color = color;
+        this.captionText.style.backgroundColor = `rgba(0, 0, 0, ${parseInt(backgroundOpacity, 10) / 100})`;
+        this.captionText.style.textShadow = CAPTION_EDGE_SHADOWS[edgeStyle] || 'none';
+        this.captionText.style.fontFamily = CAPTION_FONT_FAMILIES[fontFamily] || 'inherit';
+    }
+
+    // ============ PLAYLIST ============
+
+    /**
+     * Make playlist item `index` the current media config
+     */
+    applyPlaylistItem(index) {
+        const item = this.playlist[index];
+        this.playlistIndex = index;
+
+        // An item's own adVideo / adSchedule (even null) replaces the defaults
+        this.config.mainVideo = this.normalizeMainVideo(item.mainVideo);
+        this.config.adVideo = this.normalizeAdPod('adVideo' in item ? item.adVideo : this.playlistDefaults.adVideo);
+        this.config.adSchedule = 'adSchedule' in item ? item.adSchedule : this.playlistDefaults.adSchedule;
+        this.config.thumbnailUrl = item.thumbnailUrl || this.playlistDefaults.thumbnailUrl || this.config.mainVideo.url;
+    }
+
+    /**
+     * Load the media in this.config into the player: stop any ad break,
+     * reset the ad schedule, sources, chapters, captions and progress, then
+     * start playing or show the play overlay again
+     */
+    loadCurrentMedia(autoplay) {
+        this.savePosition(true);
+        this.cancelUpNext();
+        this.stopAdPlayback();
+        this.clearStallTimer();
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.retryAttempts = 0;
+        this.errorTime = null;
+        this.hideErrorPanel();
+        this.resumeTime = null;
+        this.resumedFrom = null;
+        this.currentAd = null;
+        this.adBreaks = this.createAdBreaks();
+
+        this.setVideoSources();
+        this.setVideoInfo();
+        this.loadChapters();
+        this.loadPreviewThumbnails();
+        this.setupTextTracks();
+        this.preloadPreroll();
+        this.loadSavedPosition();
+
+        this.cancelScrub();
+        this.setProgressPosition(0);
+        if (this.progressBuffered) this.progressBuffered.innerHTML = '';
+        if (this.currentTimeEl) this.currentTimeEl.textContent = this.formatTime(0);
+        if (this.durationEl) this.durationEl.textContent = this.formatTime(0);
+        this.updatePlaylistControls();
+
+        this.emit('mediachange', { url: this.config.mainVideo.url, title: this.config.mainVideo.title });
+
+        if (autoplay) {
+            this.startPlayback();
+            return;
+        }
+
+        this.mainVideo?.classList.add('hidden');
+        this.mainVideoControls?.classList.add('hidden');
+        this.thumbnailVideo?.classList.remove('hidden');
+        this.playOverlay?.classList.remove('hidden');
+    }
+
+    getNextIndex() {
+        // A video from loadVideo() has no neighbours
+        if (this.playlistIndex === null) return null;
+        if (this.playlistIndex < this.playlist.length - 1) return this.playlistIndex + 1;
+        return this.config.playlistOptions.loop && this.playlist.length ? 0 : null;
+    }
+
+    getPrevIndex() {
+        if (this.playlistIndex === null) return null;
+        if (this.playlistIndex > 0) return this.playlistIndex - 1;
+        return this.config.playlistOptions.loop && this.playlist.length ? this.playlist.length - 1 : null;
+    }
+
+    updatePlaylistControls() {
+        const hasPlaylist = this.playlist.length > 1;
+        this.prevBtn?.classList.toggle('hidden', !hasPlaylist);
+        this.nextBtn?.classList.toggle('hidden', !hasPlaylist);
+        if (this.prevBtn) this.prevBtn.disabled = this.getPrevIndex() === null;
+        if (this.nextBtn) this.nextBtn.disabled = this.getNextIndex() === null;
+    }
+
+    /**
+     * After an item ends, count down and play the next one unless cancelled
+     */
+    startUpNext() {
+        const nextIndex = this.getNextIndex();
+        if (nextIndex === null || !this.config.playlistOptions.autoplayNext) return;
+
+        let remaining = this.config.playlistOptions.upNextSeconds;
+        if (this.upNextTitle) this.upNextTitle.textContent = this.normalizeMainVideo(this.playlist[nextIndex].mainVideo).title;
+        if (this.upNextCountdown) this.upNextCountdown.textContent = this.t('upNextIn', { count: remaining });
+        this.upNextCard?.classList.remove('hidden');
+
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = setInterval(() => {
+            remaining -= 1;
+            if (remaining <= 0) {
+                this.loadItem(nextIndex);
+            } else if (this.upNextCountdown) {
+                this.upNextCountdown.textContent = this.t('upNextIn', { count: remaining });
+            }
+        }, 1000);
+    }
+
+    cancelUpNext() {
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = null;
+        this.upNextCard?.classList.add('hidden');
+    }
+
+    // ============ ERROR RECOVERY ============
+
+    /**
+     * Show the error panel for a main video failure. Network errors (code 2)
+     * are retried automatically with exponential backoff first.
+     */
+    handleMainError(source, code, message) {
+        if (this.destroyed || this.retryTimer) return;
+        this.clearStallTimer();
+
+        const { maxAttempts, baseDelay } = this.config.retry;
+        const willRetry = code === 2 && this.retryAttempts < maxAttempts;
+        const readableMessage = this.t(MEDIA_ERROR_MESSAGE_KEYS[code] || 'errorGeneric');
+
+        this.emit('error', { source, code, message: message || readableMessage, willRetry });
+
+        // Remember where playback broke off; a reload starts at 0
+        if (this.errorTime === null) this.errorTime = this.mainVideo.currentTime;
+        this.loadingSpinner?.classList.add('hidden');
+
+        if (willRetry) {
+            const delay = baseDelay * 2 ** this.retryAttempts;
+            this.retryAttempts += 1;
+            this.showErrorPanel(this.t('errorRetrying', {
+                message: readableMessage,
+                count: Math.ceil(delay / 1000),
+                attempt: this.retryAttempts,
+                maxAttempts
+            }), false);
+            this.retryTimer = setTimeout(() => this.retryMainVideo(), delay);
+        } else {
+            this.showErrorPanel(readableMessage, true);
+        }
+    }
+
+    showErrorPanel(message, canRetry) {
+        if (this.errorMessage) this.errorMessage.textContent = message;
+        this.retryBtn?.classList.toggle('hidden', !canRetry);
+        this.errorPanel?.classList.remove('hidden');
+    }
+
+    hideErrorPanel() {
+        this.errorPanel?.classList.add('hidden');
+    }
+
+    /**
+     * Reload the main video and continue where it failed
+     */
+    retryMainVideo() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.hideErrorPanel();
+        if (this.destroyed) return;
+
+        const time = this.errorTime ?? this.mainVideo.currentTime;
+        this.errorTime = null;
+
+        this.mainVideo.addEventListener('loadedmetadata', () => {
+            if (time) this.mainVideo.currentTime = time;
+            this.mainVideo.play()?.catch(() => {});
+        }, { once: true });
+
+        // Streaming engines are rebuilt; a plain source reloads in place (keeping the chosen quality)
+        if (this.hls || this.dash) {
+            this.setMainSource();
+        } else {
+            this.mainVideo.load();
+        }
+    }
+
+    clearStallTimer() {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+    }
+
+    // ============ RESUME POSITION ============
 
-        // When ad starts playing
-        this.adVideo.addEventListener('play', () => {
-            this.skipCountdown?.classList.remove('hidden');
-            this.skipButton?.classList.add('opacity-0', 'pointer-events-none');
-            this.skipButton?.classList.remove('opacity-100', 'pointer-events-auto');
-            // Show ad timer when ad starts playing
-            document.getElementById('adTimeRemaining')?.classList.remove('hidden');
-        });
+    /**
+     * Read the saved position of the current video and show the resume
+     * prompt on the play overlay
+     */
+    async loadSavedPosition() {
+        const resume = this.config.resume;
+        this.resumePosition = null;
+        this.lastSavedPosition = 0;
+        this.resumePrompt?.classList.add('hidden');
+        if (!resume) return;
+
+        const key = this.config.mainVideo.id || this.config.mainVideo.url;
+        this.positionKey = key;
+
+        let position = null;
+        try {
+            const stored = await resume.storage.get(key);
+            // Number(null) is 0: a video that was never watched has no position
+            if (stored !== null && stored !== undefined && stored !== '') position = Number(stored);
+        } catch (error) {
+            console.warn('Saved position could not be read:', error.message);
+        }
 
-        // Skip button click handler
-        this.skipButton?.addEventListener('click', () => {
-            this.skipToMainVideo();
-        });
+        // Another video may have been loaded while waiting
+        if (this.destroyed || this.positionKey !== key || !this.playOverlay || this.playOverlay.classList.contains('hidden')) return;
+        if (!Number.isFinite(position) || position < resume.minPosition) return;
 
-        // When ad ends, automatically play main video
-        this.adVideo.addEventListener('ended', () => {
-            this.skipToMainVideo();
-        });
+        this.resumePosition = position;
+        if (this.resumeBtn) this.resumeBtn.textContent = this.t('resumeFrom', { time: this.formatTime(position) });
+        this.resumePrompt?.classList.remove('hidden');
+    }
 
-        // Ad video loading events
-        this.adVideo.addEventListener('waiting', () => {
-            this.adLoadingSpinner?.classList.remove('hidden');
-        });
+    /**
+     * Store the main video position; throttled to every 5 seconds unless `force`
+     */
+    savePosition(force = false) {
+        const resume = this.config.resume;
+        if (!resume || !this.positionKey || !this.mainVideo || this.activeAdBreak) return;
+
+        const position = Math.floor(this.mainVideo.currentTime);
+        if (position < resume.minPosition) return;
+        if (!force && Math.abs(position - this.lastSavedPosition) < 5) return;
+
+        this.lastSavedPosition = position;
+        Promise.resolve()
+            .then(() => resume.storage.set(this.positionKey, position))
+            .catch(error => console.warn('Position could not be saved:', error.message));
+    }
 
-        this.adVideo.addEventListener('canplay', () => {
-            this.adLoadingSpinner?.classList.add('hidden');
-        });
+    clearSavedPosition() {
+        const resume = this.config.resume;
+        if (!resume || !this.positionKey) return;
 
-        this.adVideo.addEventListener('playing', () => {
-            this.adLoadingSpinner?.classList.add('hidden');
-        });
+        this.lastSavedPosition = 0;
+        Promise.resolve()
+            .then(() => resume.storage.remove(this.positionKey))
+            .catch(error => console.warn('Saved position could not be removed:', error.message));
+    }
 
-        this.adVideo.addEventListener('seeking', () => {
-            this.adLoadingSpinner?.classList.remove('hidden');
-        });
+    // ============ PICTURE-IN-PICTURE & MINI-PLAYER ============
 
-        this.adVideo.addEventListener('seeked', () => {
-            this.adLoadingSpinner?.classList.add('hidden');
-        });
+    /**
+     * Open or close the native Picture-in-Picture window (not during ads)
+     */
+    togglePictureInPicture() {
+        if (this.destroyed) return;
 
-        // Prevent right-click context menu
-        this.adVideo.addEventListener('contextmenu', (e) => e.preventDefault());
+        if (document.pictureInPictureElement === this.mainVideo) {
+            document.exitPictureInPicture().catch(() => {});
+            return;
+        }
+        if (!document.pictureInPictureEnabled || this.activeAdBreak) return;
+
+        this.mainVideo.requestPictureInPicture()
+            .catch(error => console.warn('Picture-in-picture failed:', error.message));
     }
 
-    skipToMainVideo() {
-        // Stop and reset ad video
-        this.adVideo?.pause();
-        if (this.adVideo) this.adVideo.currentTime = 0;
+    /**
+     * Block PiP while an ad break runs: the PiP button is disabled and an
+     * open PiP window is closed so the ad plays in the page
+     */
+    setPictureInPictureAllowed(allowed) {
+        if (!this.mainVideo) return;
 
-        // Hide ad elements
-        this.adVideo?.classList.add('hidden');
-        this.adOverlay?.classList.add('hidden');
+        this.mainVideo.disablePictureInPicture = !allowed;
+        if (this.pipBtn) this.pipBtn.disabled = !allowed;
+        this.pipBtn?.classList.toggle('opacity-50', !allowed);
 
-        // Hide ad timer
-        document.getElementById('adTimeRemaining')?.classList.add('hidden');
+        if (!allowed && document.pictureInPictureElement === this.mainVideo) {
+            document.exitPictureInPicture().catch(() => {});
+        }
+    }
 
-        // Show and play main video
-        this.mainVideo?.classList.remove('hidden');
-        this.mainVideoControls?.classList.remove('hidden');
-        this.mainVideo?.play();
+    onPictureInPictureChange(isPictureInPicture) {
+        this.pipBtn?.setAttribute('aria-pressed', String(isPictureInPicture));
+        this.pipBtn?.setAttribute('aria-label', this.t(isPictureInPicture ? 'exitPictureInPicture' : 'pictureInPicture'));
+
+        // The PiP window replaces the mini-player
+        this.updateMiniPlayer();
+        this.emit('pictureinpicturechange', { isPictureInPicture });
+    }
+
+    observeMiniPlayerSlot() {
+        if (!this.config.miniPlayer || !this.playerSlot || typeof IntersectionObserver === 'undefined') return;
+
+        this.miniPlayerObserver = new IntersectionObserver(([entry]) => {
+            this.isSlotVisible = entry.isIntersecting;
+
+            // Scrolling back to the player undoes an earlier close
+            if (this.isSlotVisible) this.miniPlayerDismissed = false;
+            this.updateMiniPlayer();
+        }, { threshold: 0.25 });
+        this.miniPlayerObserver.observe(this.playerSlot);
+    }
+
+    /**
+     * Dock when the player leaves the viewport during playback; return to
+     * the page when it is visible again, closed, fullscreen or in PiP.
+     * The whole container docks, so the ad overlay and its skip countdown
+     * come along unchanged.
+     */
+    updateMiniPlayer() {
+        if (!this.config.miniPlayer || this.destroyed) return;
+
+        const isPlaying = this.activeAdBreak ? !this.adVideo.paused : !this.mainVideo.paused;
+        const isElsewhere = document.fullscreenElement === this.videoContainer
+            || document.pictureInPictureElement === this.mainVideo;
+
+        if (this.isMiniPlayer) {
+            if (this.isSlotVisible || this.miniPlayerDismissed || isElsewhere) this.setMiniPlayer(false);
+        } else if (!this.isSlotVisible && !this.miniPlayerDismissed && !isElsewhere && isPlaying) {
+            this.setMiniPlayer(true);
+        }
+    }
+
+    setMiniPlayer(docked) {
+        if (!this.container || this.isMiniPlayer === docked) return;
+        this.isMiniPlayer = docked;
+
+        const { position, width, offset } = this.config.miniPlayer;
+        const [vertical, horizontal] = position.split('-');
+
+        // Hold the page layout while the container is out of the flow
+        if (this.playerSlot) {
+            this.playerSlot.style.minHeight = docked ? this.playerSlot.offsetHeight + 'px' : '';
+        }
+
+        this.container.classList.toggle('relative', !docked);
+        this.container.classList.toggle('fixed', docked);
+        this.container.classList.toggle('z-50', docked);
+        this.container.style.width = docked ? width + 'px' : '';
+        this.container.style.maxWidth = docked ? `calc(100vw - ${offset * 2}px)` : '';
+        this.container.style[vertical] = docked ? offset + 'px' : '';
+        this.container.style[horizontal] = docked ? offset + 'px' : '';
+        this.miniPlayerBar?.classList.toggle('hidden', !docked);
+
+        this.emit('miniplayerchange', { isMiniPlayer: docked });
+    }
+
+    /**
+     * Close button: pause and put the player back in the page until it is
+     * scrolled into view again. An ad keeps its skip countdown.
+     */
+    closeMiniPlayer() {
+        this.miniPlayerDismissed = true;
+        if (this.activeAdBreak) {
+            this.adVideo.pause();
+        } else {
+            this.mainVideo.pause();
+        }
+        this.updateMiniPlayer();
     }
 
     // ============ MAIN VIDEO CONTROLS ============
 
+    /**
+     * m:ss in the locale's digits
+     */
     formatTime(seconds) {
         const mins = Math.floor(seconds / 60);
         const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+        return `${this.i18n.numberFormat.format(mins)}:${this.i18n.twoDigitFormat.format(secs)}`;
+    }
+
+    /**
+     * Read a message to screen reader users through the live region
+     */
+    announce(message) {
+        if (this.announcer) this.announcer.textContent = message;
+    }
+
+    updateSeekSliderState() {
+        if (!this.progressBarContainer) return;
+        const duration = this.mainVideo.duration || 0;
+        const current = this.mainVideo.currentTime || 0;
+
+        this.progressBarContainer.setAttribute('aria-valuemax', String(Math.floor(duration)));
+        this.progressBarContainer.setAttribute('aria-valuenow', String(Math.floor(current)));
+        this.progressBarContainer.setAttribute('aria-valuetext', this.t('seekPosition', { current: this.formatTime(current), duration: this.formatTime(duration) }));
     }
 
     togglePlayPause() {
@@ -919,6 +4009,8 @@ class VideoPlayer {
     }
 
     updatePlayPauseIcons(isPlaying) {
+        this.centerPlayButton?.setAttribute('aria-label', this.t(isPlaying ? 'pause' : 'play'));
+
         if (isPlaying) {
             this.centerPlayIcon?.classList.add('hidden');
             this.centerPauseIcon?.classList.remove('hidden');
@@ -928,24 +4020,117 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Fade the control layer in or out; captions move up above the bottom
+     * controls while they are visible
+     */
+    setControlsVisibility(visible) {
+        const opacity = visible ? '1' : '0';
+        if (this.bottomControls) this.bottomControls.style.opacity = opacity;
+        if (this.centerPlayButton) this.centerPlayButton.style.opacity = opacity;
+        if (this.skipBackwardBtn) this.skipBackwardBtn.style.opacity = opacity;
+        if (this.skipForwardBtn) this.skipForwardBtn.style.opacity = opacity;
+        if (this.videoInfo) this.videoInfo.style.opacity = opacity;
+        if (this.settingsContainer) this.settingsContainer.style.opacity = opacity;
+
+        this.captionOverlay?.classList.toggle('bottom-24', visible);
+        this.captionOverlay?.classList.toggle('bottom-6', !visible);
+    }
+
+    // ============ SEEK BAR ============
+
+    /**
+     * Pointer position along the progress bar, 0..1
+     */
+    getProgressPercent(e) {
+        const rect = this.progressBarContainer.getBoundingClientRect();
+        if (!rect.width) return 0;
+        return Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    }
+
+    setProgressPosition(fraction) {
+        const percent = (Number.isFinite(fraction) ? fraction : 0) * 100;
+        if (this.progressBar) this.progressBar.style.width = percent + '%';
+        if (this.progressHandle) this.progressHandle.style.left = percent + '%';
+    }
+
+    updateScrubPreview(percent) {
+        this.setProgressPosition(percent);
+        if (this.currentTimeEl) this.currentTimeEl.textContent = this.formatTime(percent * this.mainVideo.duration);
+        this.showProgressTooltip(percent);
+    }
+
+    cancelScrub() {
+        if (this.scrubPointerId !== null) {
+            this.progressBarContainer?.releasePointerCapture?.(this.scrubPointerId);
+        }
+        this.isScrubbing = false;
+        this.scrubPointerId = null;
+        this.progressHandle?.classList.remove('opacity-100');
+    }
+
+    /**
+     * Tooltip above the pointer: the storyboard frame, the time and the
+     * chapter title, whichever are available
+     */
+    showProgressTooltip(percent) {
+        const duration = this.mainVideo.duration;
+        if (!this.progressTooltip || !duration) return;
+
+        const time = percent * duration;
+        const chapter = this.getChapterAt(time);
+
+        if (this.progressTooltipText) {
+            this.progressTooltipText.textContent = chapter ? `${this.formatTime(time)} · ${chapter.title}` : this.formatTime(time);
+        }
+        const previewWidth = this.updatePreviewThumbnail(time);
+        this.progressTooltip.classList.remove('hidden');
+
+        // Keep a wide preview inside the bar instead of spilling off the edges
+        const barWidth = this.progressBarContainer.getBoundingClientRect().width;
+        const halfWidth = Math.max(previewWidth, this.progressTooltip.offsetWidth) / 2;
+        if (barWidth && halfWidth * 2 < barWidth) {
+            const left = Math.min(barWidth - halfWidth, Math.max(halfWidth, percent * barWidth));
+            this.progressTooltip.style.left = left + 'px';
+        } else {
+            this.progressTooltip.style.left = (percent * 100) + '%';
+        }
+    }
+
+    /**
+     * One light segment per range in `mainVideo.buffered`
+     */
+    updateBufferedBar() {
+        const duration = this.mainVideo.duration;
+        const buffered = this.mainVideo.buffered;
+        if (!this.progressBuffered || !duration || !buffered) return;
+
+        const segments = this.progressBuffered.children;
+        for (let i = 0; i < buffered.length; i++) {
+            let segment = segments[i];
+            if (!segment) {
+                segment = document.createElement('div');
+                segment.className = 'absolute h-full bg-white/30 rounded-full';
+                this.progressBuffered.appendChild(segment);
+            }
+            segment.style.left = (buffered.start(i) / duration) * 100 + '%';
+            segment.style.width = ((buffered.end(i) - buffered.start(i)) / duration) * 100 + '%';
+        }
+
+        // Drop segments for ranges that were merged or evicted
+        while (segments.length > buffered.length) {
+            this.progressBuffered.lastChild.remove();
+        }
+    }
+
     showControls() {
-        if (this.bottomControls) this.bottomControls.style.opacity = '1';
-        if (this.centerPlayButton) this.centerPlayButton.style.opacity = '1';
-        if (this.skipBackwardBtn) this.skipBackwardBtn.style.opacity = '1';
-        if (this.skipForwardBtn) this.skipForwardBtn.style.opacity = '1';
-        if (this.videoInfo) this.videoInfo.style.opacity = '1';
-        if (this.settingsContainer) this.settingsContainer.style.opacity = '1';
+        this.setControlsVisibility(true);
 
         clearTimeout(this.hideControlsTimeout);
 
-        if (!this.mainVideo.paused && !this.isUserInteracting && !this.isSettingsOpen) {
+        if (!this.mainVideo.paused && !this.isUserInteracting && !this.isSettingsOpen && !this.isScrubbing) {
             this.hideControlsTimeout = setTimeout(() => {
-                if (this.bottomControls) this.bottomControls.style.opacity = '0';
-                if (this.centerPlayButton) this.centerPlayButton.style.opacity = '0';
-                if (this.skipBackwardBtn) this.skipBackwardBtn.style.opacity = '0';
-                if (this.skipForwardBtn) this.skipForwardBtn.style.opacity = '0';
-                if (this.videoInfo) this.videoInfo.style.opacity = '0';
-                if (this.settingsContainer) this.settingsContainer.style.opacity = '0';
+                this.setControlsVisibility(false);
             }, this.config.autoHideControlsDelay);
         }
     }
@@ -954,94 +4139,244 @@ class VideoPlayer {
         if (!this.mainVideo) return;
 
         // Update UI when playing
-        this.mainVideo.addEventListener('play', () => {
+        this.listen(this.mainVideo, 'play', () => {
+            this.onPlaybackStart();
+            this.cancelUpNext();
             this.updatePlayPauseIcons(true);
+            this.announce(this.t('playing'));
             this.showControls();
+            this.emit('play');
         });
 
         // Update UI when paused
-        this.mainVideo.addEventListener('pause', () => {
+        this.listen(this.mainVideo, 'pause', () => {
             this.updatePlayPauseIcons(false);
+            if (!this.activeAdBreak) this.announce(this.t('paused'));
             clearTimeout(this.hideControlsTimeout);
-            if (this.bottomControls) this.bottomControls.style.opacity = '1';
-            if (this.centerPlayButton) this.centerPlayButton.style.opacity = '1';
-            if (this.skipBackwardBtn) this.skipBackwardBtn.style.opacity = '1';
-            if (this.skipForwardBtn) this.skipForwardBtn.style.opacity = '1';
-            if (this.videoInfo) this.videoInfo.style.opacity = '1';
-            if (this.settingsContainer) this.settingsContainer.style.opacity = '1';
+            this.setControlsVisibility(true);
+            this.savePosition(true);
+            this.emit('pause');
         });
 
         // Update progress bar and time
-        this.mainVideo.addEventListener('timeupdate', () => {
-            const percent = (this.mainVideo.currentTime / this.mainVideo.duration) * 100;
-            if (this.progressBar) this.progressBar.style.width = percent + '%';
-            if (this.progressHandle) this.progressHandle.style.left = percent + '%';
-            if (this.currentTimeEl) this.currentTimeEl.textContent = this.formatTime(this.mainVideo.currentTime);
+        this.listen(this.mainVideo, 'timeupdate', () => {
+            // The bar follows the pointer while scrubbing
+            if (!this.isScrubbing) {
+                this.setProgressPosition(this.mainVideo.currentTime / this.mainVideo.duration);
+                if (this.currentTimeEl) this.currentTimeEl.textContent = this.formatTime(this.mainVideo.currentTime);
+            }
+            this.updateSeekSliderState();
+            this.updateBufferedBar();
+
+            this.updateCurrentChapter();
+            this.updateCaptions();
+
+            this.emit('timeupdate', { duration: this.mainVideo.duration });
+            this.savePosition();
+
+            // Start mid-roll ad breaks at their cue points
+            this.checkAdBreaks();
         });
 
         // Update duration when metadata loads
-        this.mainVideo.addEventListener('loadedmetadata', () => {
+        this.listen(this.mainVideo, 'loadedmetadata', () => {
             if (this.durationEl) this.durationEl.textContent = this.formatTime(this.mainVideo.duration);
+            this.updateSeekSliderState();
+            this.resolveAdBreakTimes();
+            this.markBreaksBeforeResume();
+            this.renderProgressMarkers();
+        });
+
+        // Play the post-roll once the main video finishes
+        this.listen(this.mainVideo, 'ended', () => {
+            this.clearSavedPosition();
+            this.emit('ended');
+
+            const postroll = this.adBreaks.find(adBreak => adBreak.offset === 'post' && !adBreak.played);
+            if (postroll) {
+                this.playAdBreak(postroll);
+            } else {
+                this.startUpNext();
+            }
+        });
+
+        // Media errors; with <source> children a missing file fires on the source element
+        this.listen(this.mainVideo, 'error', () => {
+            // hls.js / dash.js report their own errors
+            if (this.hls || this.dash) return;
+            this.handleMainError('video', this.mainVideo.error?.code || 4, this.mainVideo.error?.message);
+        });
+        this.listen(this.mainVideo.querySelector('source'), 'error', () => {
+            // The empty <source> fails while hls.js / dash.js load the manifest
+            if (this.hls || this.dash) return;
+            this.handleMainError('video', navigator.onLine === false ? 2 : 4);
+        });
+
+        // A stall that does not recover in time is handled as a network error
+        this.listen(this.mainVideo, 'stalled', () => {
+            if (this.mainVideo.paused || this.stallTimer || !this.config.stallTimeout) return;
+            this.stallTimer = setTimeout(() => {
+                this.stallTimer = null;
+                this.handleMainError('video', 2, 'Playback stalled');
+            }, this.config.stallTimeout);
+        });
+        this.listen(this.mainVideo, 'progress', () => {
+            this.clearStallTimer();
+            this.updateBufferedBar();
+        });
+
+        this.listen(this.retryBtn, 'click', () => {
+            this.retryAttempts = 0;
+            this.retryMainVideo();
         });
 
         // Loading events
-        this.mainVideo.addEventListener('waiting', () => {
+        this.listen(this.mainVideo, 'waiting', () => {
             this.loadingSpinner?.classList.remove('hidden');
+            this.emit('waiting', { seeking: this.mainVideo.seeking });
         });
 
-        this.mainVideo.addEventListener('canplay', () => {
+        this.listen(this.mainVideo, 'canplay', () => {
             this.loadingSpinner?.classList.add('hidden');
         });
 
-        this.mainVideo.addEventListener('playing', () => {
+        this.listen(this.mainVideo, 'playing', () => {
             this.loadingSpinner?.classList.add('hidden');
+            this.clearStallTimer();
+            this.retryAttempts = 0;
+            this.emit('playing');
         });
 
-        this.mainVideo.addEventListener('seeking', () => {
+        this.listen(this.mainVideo, 'seeking', () => {
             this.loadingSpinner?.classList.remove('hidden');
         });
 
-        this.mainVideo.addEventListener('seeked', () => {
+        this.listen(this.mainVideo, 'seeked', () => {
             this.loadingSpinner?.classList.add('hidden');
+            this.updateCaptions();
+        });
+
+        // Volume button label follows the mute state (button, slider and keyboard)
+        this.listen(this.mainVideo, 'volumechange', () => {
+            const isMuted = this.mainVideo.muted || this.mainVideo.volume === 0;
+            this.volumeBtn?.setAttribute('aria-label', this.t(isMuted ? 'unmute' : 'mute'));
         });
 
+        // Keep the position when the page is closed or reloaded
+        this.listen(window, 'pagehide', () => this.savePosition(true));
+
         // Click anywhere on video to play/pause
-        this.mainVideo.addEventListener('click', () => this.togglePlayPause());
+        this.listen(this.mainVideo, 'click', () => this.togglePlayPause());
 
         // Prevent right-click context menu
-        this.mainVideo.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.listen(this.mainVideo, 'contextmenu', (e) => e.preventDefault());
     }
 
     bindControlEvents() {
         // Center play/pause button
-        this.centerPlayButton?.addEventListener('click', (e) => {
+        this.listen(this.centerPlayButton, 'click', (e) => {
             e.stopPropagation();
             this.togglePlayPause();
         });
 
         // Skip backward
-        this.skipBackwardBtn?.addEventListener('click', (e) => {
+        this.listen(this.skipBackwardBtn, 'click', (e) => {
             e.stopPropagation();
             this.mainVideo.currentTime = Math.max(0, this.mainVideo.currentTime - this.config.skipBackwardSeconds);
             this.showControls();
         });
 
         // Skip forward
-        this.skipForwardBtn?.addEventListener('click', (e) => {
+        this.listen(this.skipForwardBtn, 'click', (e) => {
             e.stopPropagation();
             this.mainVideo.currentTime = Math.min(this.mainVideo.duration, this.mainVideo.currentTime + this.config.skipForwardSeconds);
             this.showControls();
         });
 
-        // Progress bar click to seek
-        this.progressBarContainer?.addEventListener('click', (e) => {
-            const rect = this.progressBarContainer.getBoundingClientRect();
-            const percent = (e.clientX - rect.left) / rect.width;
-            this.mainVideo.currentTime = percent * this.mainVideo.duration;
+        // Scrub with mouse, pen or touch: the bar follows the pointer and
+        // the video seeks once on release
+        this.listen(this.progressBarContainer, 'pointerdown', (e) => {
+            if (e.button !== 0 || !this.mainVideo.duration) return;
+            e.preventDefault();
+
+            this.isScrubbing = true;
+            this.scrubPointerId = e.pointerId;
+            this.progressBarContainer.setPointerCapture?.(e.pointerId);
+            this.progressHandle?.classList.add('opacity-100');
+            this.updateScrubPreview(this.getProgressPercent(e));
+        });
+
+        this.listen(this.progressBarContainer, 'pointermove', (e) => {
+            const percent = this.getProgressPercent(e);
+            this.showProgressTooltip(percent);
+
+            if (this.isScrubbing && e.pointerId === this.scrubPointerId) {
+                this.updateScrubPreview(percent);
+                this.showControls();
+            }
+        });
+
+        this.listen(this.progressBarContainer, 'pointerup', (e) => {
+            if (!this.isScrubbing || e.pointerId !== this.scrubPointerId) return;
+
+            const time = this.getProgressPercent(e) * this.mainVideo.duration;
+            this.cancelScrub();
+            this.mainVideo.currentTime = time;
+            this.setProgressPosition(time / this.mainVideo.duration);
+            this.updateSeekSliderState();
+            this.showControls();
+
+            // Touch has no hover, so the tooltip goes away with the finger
+            if (e.pointerType !== 'mouse') this.progressTooltip?.classList.add('hidden');
+        });
+
+        this.listen(this.progressBarContainer, 'pointercancel', () => {
+            this.cancelScrub();
+            this.progressTooltip?.classList.add('hidden');
+            this.setProgressPosition(this.mainVideo.currentTime / this.mainVideo.duration);
+            if (this.currentTimeEl) this.currentTimeEl.textContent = this.formatTime(this.mainVideo.currentTime);
+        });
+
+        // Seek slider keys: arrows 5s, Page Up/Down 10%, Home/End
+        this.listen(this.progressBarContainer, 'keydown', (e) => {
+            const duration = this.mainVideo.duration;
+            if (!duration) return;
+
+            const current = this.mainVideo.currentTime;
+            const targets = {
+                ArrowLeft: current - 5,
+                ArrowDown: current - 5,
+                ArrowRight: current + 5,
+                ArrowUp: current + 5,
+                PageDown: current - duration / 10,
+                PageUp: current + duration / 10,
+                Home: 0,
+                End: duration
+            };
+            if (!(e.key in targets)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.mainVideo.currentTime = Math.min(duration, Math.max(0, targets[e.key]));
+            this.updateSeekSliderState();
+            this.showControls();
+        });
+
+        this.listen(this.progressBarContainer, 'pointerleave', () => {
+            if (!this.isScrubbing) this.progressTooltip?.classList.add('hidden');
         });
 
+        // Captions toggle
+        this.listen(this.captionsBtn, 'click', () => this.toggleCaptions());
+
+        // Playlist navigation
+        this.listen(this.prevBtn, 'click', () => this.prev());
+        this.listen(this.nextBtn, 'click', () => this.next());
+        this.listen(this.upNextPlayBtn, 'click', () => this.next());
+        this.listen(this.upNextCancelBtn, 'click', () => this.cancelUpNext());
+
         // Volume control
-        this.volumeBtn?.addEventListener('click', () => {
+        this.listen(this.volumeBtn, 'click', () => {
             if (this.mainVideo.volume > 0) {
                 this.mainVideo.volume = 0;
                 this.volumeSlider.value = 0;
@@ -1055,7 +4390,7 @@ class VideoPlayer {
             }
         });
 
-        this.volumeSlider?.addEventListener('input', (e) => {
+        this.listen(this.volumeSlider, 'input', (e) => {
             const volume = e.target.value / 100;
             this.mainVideo.volume = volume;
 
@@ -1069,7 +4404,7 @@ class VideoPlayer {
         });
 
         // Fullscreen control
-        this.fullscreenBtn?.addEventListener('click', () => {
+        this.listen(this.fullscreenBtn, 'click', () => {
             if (!document.fullscreenElement) {
                 this.videoContainer?.requestFullscreen();
             } else {
@@ -1077,8 +4412,26 @@ class VideoPlayer {
             }
         });
 
+        // Picture-in-Picture
+        this.listen(this.pipBtn, 'click', () => this.togglePictureInPicture());
+        this.listen(this.mainVideo, 'enterpictureinpicture', () => this.onPictureInPictureChange(true));
+        this.listen(this.mainVideo, 'leavepictureinpicture', () => this.onPictureInPictureChange(false));
+
+        // Mini-player
+        this.listen(this.miniPlayerBackBtn, 'click', (e) => {
+            e.stopPropagation();
+            this.playerSlot?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+        this.listen(this.miniPlayerCloseBtn, 'click', (e) => {
+            e.stopPropagation();
+            this.closeMiniPlayer();
+        });
+        this.observeMiniPlayerSlot();
+
         // Update fullscreen icon
-        document.addEventListener('fullscreenchange', () => {
+        this.listen(document, 'fullscreenchange', () => {
+            this.updateMiniPlayer();
+
             if (document.fullscreenElement) {
                 this.fullscreenIcon?.classList.add('hidden');
                 this.exitFullscreenIcon?.classList.remove('hidden');
@@ -1086,188 +4439,603 @@ class VideoPlayer {
                 this.fullscreenIcon?.classList.remove('hidden');
                 this.exitFullscreenIcon?.classList.add('hidden');
             }
+            this.fullscreenBtn?.setAttribute('aria-label', this.t(document.fullscreenElement ? 'exitFullscreen' : 'fullscreen'));
+
+            this.emit('fullscreenchange', { isFullscreen: document.fullscreenElement === this.videoContainer });
         });
 
         // Mouse movement on video container
-        this.videoContainer?.addEventListener('mousemove', () => {
+        this.listen(this.videoContainer, 'mousemove', () => {
+            if (!this.mainVideoControls?.classList.contains('hidden')) {
+                this.showControls();
+            }
+        });
+
+        this.listen(this.videoContainer, 'mouseenter', () => {
             if (!this.mainVideoControls?.classList.contains('hidden')) {
                 this.showControls();
             }
         });
 
-        this.videoContainer?.addEventListener('mouseenter', () => {
+        // Keyboard users tabbing into the player see the controls
+        this.listen(this.videoContainer, 'focusin', () => {
             if (!this.mainVideoControls?.classList.contains('hidden')) {
                 this.showControls();
             }
         });
 
-        this.videoContainer?.addEventListener('mouseleave', () => {
-            if (!this.mainVideo?.paused && !this.mainVideoControls?.classList.contains('hidden') && !this.isSettingsOpen) {
-                if (this.bottomControls) this.bottomControls.style.opacity = '0';
-                if (this.centerPlayButton) this.centerPlayButton.style.opacity = '0';
-                if (this.skipBackwardBtn) this.skipBackwardBtn.style.opacity = '0';
-                if (this.skipForwardBtn) this.skipForwardBtn.style.opacity = '0';
-                if (this.videoInfo) this.videoInfo.style.opacity = '0';
-                if (this.settingsContainer) this.settingsContainer.style.opacity = '0';
-            }
-        });
+        this.listen(this.videoContainer, 'mouseleave', () => {
+            if (!this.mainVideo?.paused && !this.mainVideoControls?.classList.contains('hidden') && !this.isSettingsOpen) {
+                this.setControlsVisibility(false);
+            }
+        });
+
+        // Track user interaction
+        this.listen(this.bottomControls, 'mouseenter', () => {
+            this.isUserInteracting = true;
+            clearTimeout(this.hideControlsTimeout);
+        });
+
+        this.listen(this.bottomControls, 'mouseleave', () => {
+            this.isUserInteracting = false;
+            this.showControls();
+        });
+    }
+
+    // ============ SETTINGS MENU CONTROLS ============
+
+    bindSettingsEvents() {
+        // Toggle settings menu
+        this.listen(this.settingsBtn, 'click', (e) => {
+            e.stopPropagation();
+            if (this.isSettingsOpen) {
+                this.closeSettingsMenu();
+                return;
+            }
+
+            this.isSettingsOpen = true;
+            this.settingsMenu?.classList.remove('hidden');
+            this.settingsBtn.setAttribute('aria-expanded', 'true');
+            this.hideSettingsSubmenus();
+            this.getMenuItems()[0]?.focus();
+        });
+
+        // Toggle submenus
+        this.getSettingsSubmenus().forEach(({ trigger, submenu }) => {
+            this.listen(trigger, 'click', (e) => {
+                e.stopPropagation();
+                this.hideSettingsSubmenus(submenu);
+
+                const isOpen = submenu.classList.toggle('hidden') === false;
+                trigger.setAttribute('aria-expanded', String(isOpen));
+                if (isOpen) submenu.querySelector('[role^="menuitem"]')?.focus();
+            });
+        });
+
+        // Arrow keys, Home/End, Escape and a Tab focus trap inside the menu
+        this.listen(this.settingsMenu, 'keydown', (e) => this.handleSettingsKeydown(e));
+
+        // Speed option click handlers
+        this.speedOptions?.forEach(option => {
+            this.listen(option, 'click', (e) => {
+                e.stopPropagation();
+                this.setPlaybackRate(parseFloat(option.dataset.speed));
+                this.closeSettingsMenu();
+            });
+        });
+
+        // Close settings menu when clicking outside
+        this.listen(document, 'click', (e) => {
+            if (this.isSettingsOpen && !this.settingsContainer?.contains(e.target)) {
+                this.closeSettingsMenu();
+            }
+        });
+
+        // Track settings menu interaction
+        this.listen(this.settingsContainer, 'mouseenter', () => {
+            this.isUserInteracting = true;
+            clearTimeout(this.hideControlsTimeout);
+        });
+
+        this.listen(this.settingsContainer, 'mouseleave', () => {
+            if (!this.isSettingsOpen) {
+                this.isUserInteracting = false;
+                this.showControls();
+            }
+        });
+    }
+
+    getSettingsSubmenus() {
+        return [
+            { trigger: this.speedMenuBtn, submenu: this.speedSubmenu },
+            { trigger: this.qualityMenuBtn, submenu: this.qualitySubmenu },
+            { trigger: this.subtitlesMenuBtn, submenu: this.subtitlesSubmenu },
+            { trigger: this.captionStyleMenuBtn, submenu: this.captionStyleSubmenu }
+        ].filter(({ trigger, submenu }) => trigger && submenu);
+    }
+
+    /**
+     * Collapse every settings submenu except `except`
+     */
+    hideSettingsSubmenus(except = null) {
+        this.getSettingsSubmenus().forEach(({ trigger, submenu }) => {
+            if (submenu === except) return;
+            submenu.classList.add('hidden');
+            trigger.setAttribute('aria-expanded', 'false');
+        });
+    }
+
+    /**
+     * Close the settings menu; focus goes back to the settings button when
+     * it was inside the menu
+     */
+    closeSettingsMenu() {
+        const hadFocus = this.settingsMenu?.contains(document.activeElement);
+
+        this.hideSettingsSubmenus();
+        this.settingsMenu?.classList.add('hidden');
+        this.settingsBtn?.setAttribute('aria-expanded', 'false');
+        this.isSettingsOpen = false;
+
+        if (hadFocus) this.settingsBtn?.focus();
+    }
+
+    /**
+     * Menu items that are currently shown (closed submenus excluded)
+     */
+    getMenuItems() {
+        if (!this.settingsMenu) return [];
+        return Array.from(this.settingsMenu.querySelectorAll('[role^="menuitem"]'))
+            .filter(item => !item.closest('.hidden'));
+    }
+
+    handleSettingsKeydown(e) {
+        // Player shortcuts stay off while the menu has focus
+        e.stopPropagation();
+
+        const items = this.getMenuItems();
+        const index = items.indexOf(document.activeElement);
+        const openSubmenu = this.getSettingsSubmenus().find(({ submenu }) => submenu.contains(document.activeElement));
+        const focusAt = (i) => items[(i + items.length) % items.length]?.focus();
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                focusAt(index + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                focusAt(index - 1);
+                break;
+            case 'Home':
+                e.preventDefault();
+                focusAt(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                focusAt(items.length - 1);
+                break;
+            case 'Tab':
+                // Keep focus inside the open menu
+                e.preventDefault();
+                focusAt(index + (e.shiftKey ? -1 : 1));
+                break;
+            case 'ArrowRight':
+                if (document.activeElement?.getAttribute('aria-haspopup') === 'true' && document.activeElement.getAttribute('aria-expanded') !== 'true') {
+                    e.preventDefault();
+                    document.activeElement.click();
+                }
+                break;
+            case 'ArrowLeft':
+            case 'Escape':
+                e.preventDefault();
+                if (openSubmenu) {
+                    this.hideSettingsSubmenus();
+                    openSubmenu.trigger.focus();
+                } else if (e.key === 'Escape') {
+                    this.closeSettingsMenu();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Mark a menuitemradio option as selected or not
+     */
+    setOptionChecked(option, checked) {
+        option.classList.toggle('bg-white/20', checked);
+        option.setAttribute('aria-checked', String(checked));
+    }
+
+    /**
+     * Change the playback rate and reflect it in the Speed menu
+     */
+    setPlaybackRate(rate) {
+        this.mainVideo.playbackRate = rate;
+        if (this.currentSpeed) this.currentSpeed.textContent = `${rate}x`;
+        this.speedOptions?.forEach(option => this.setOptionChecked(option, parseFloat(option.dataset.speed) === rate));
+        this.emit('ratechange', { playbackRate: rate });
+    }
+
+    // ============ KEYBOARD CONTROLS ============
 
-        // Track user interaction
-        this.bottomControls?.addEventListener('mouseenter', () => {
-            this.isUserInteracting = true;
-            clearTimeout(this.hideControlsTimeout);
+    bindKeyboardEvents() {
+        // Clicking or focusing a player makes it the keyboard target
+        this.listen(this.container, 'pointerdown', () => this.activate());
+        this.listen(this.container, 'focusin', () => this.activate());
+        if (!this.config.keyboard) return;
+
+        // key -> { action, index }; index is the key's place in the action's list
+        Object.entries(this.config.keyboard).forEach(([action, keys]) => {
+            keys.forEach((key, index) => {
+                if (key !== null) this.shortcutKeys.set(key, { action, index });
+            });
         });
 
-        this.bottomControls?.addEventListener('mouseleave', () => {
-            this.isUserInteracting = false;
-            this.showControls();
+        this.listen(this.shortcutsCloseBtn, 'click', () => this.toggleShortcutsHelp(false));
+        this.listen(this.shortcutsOverlay, 'click', (e) => {
+            if (e.target === this.shortcutsOverlay) this.toggleShortcutsHelp(false);
         });
+
+        this.listen(document, 'keydown', (e) => this.handleShortcutKeydown(e));
     }
 
-    // ============ SETTINGS MENU CONTROLS ============
+    /**
+     * Merge the `keyboard` config into KEYBOARD_SHORTCUTS as action -> keys.
+     * A key bound to a new action is taken from its old one; its place is
+     * kept as null so seekPercent positions do not shift.
+     */
+    resolveKeyboard(keyboard = {}) {
+        if (keyboard === false) return null;
 
-    bindSettingsEvents() {
-        // Toggle settings menu
-        this.settingsBtn?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.isSettingsOpen = !this.isSettingsOpen;
-            this.settingsMenu?.classList.toggle('hidden');
+        const bindings = {};
+        Object.entries(KEYBOARD_SHORTCUTS).forEach(([action, shortcut]) => {
+            bindings[action] = [...shortcut.keys];
+        });
 
-            if (this.isSettingsOpen) {
-                this.speedSubmenu?.classList.add('hidden');
-                this.qualitySubmenu?.classList.add('hidden');
+        Object.entries(keyboard || {}).forEach(([action, keys]) => {
+            if (!bindings[action]) {
+                console.warn(`Unknown keyboard shortcut "${action}"`);
+                return;
             }
+            const newKeys = keys ? [].concat(keys) : [];
+            Object.keys(bindings).forEach(other => {
+                bindings[other] = bindings[other].map(key => (newKeys.includes(key) ? null : key));
+            });
+            bindings[action] = newKeys;
         });
 
-        // Toggle speed submenu
-        this.speedMenuBtn?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.speedSubmenu?.classList.toggle('hidden');
-            this.qualitySubmenu?.classList.add('hidden');
-        });
+        return bindings;
+    }
 
-        // Toggle quality submenu
-        this.qualityMenuBtn?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.qualitySubmenu?.classList.toggle('hidden');
-            this.speedSubmenu?.classList.add('hidden');
-        });
+    /**
+     * Shortcuts apply while focus is inside this player, or while nothing on
+     * the page has focus and this is the player used last
+     */
+    handleShortcutKeydown(e) {
+        const target = e.target;
+        const nothingFocused = target === document.body || target === document.documentElement;
+        if (!this.container.contains(target) && !(nothingFocused && VideoPlayer.activePlayer === this)) return;
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isEditableTarget(target)) return;
+
+        const shortcut = this.shortcutKeys.get(e.key);
+
+        // The help overlay is modal: Escape or the help key closes it
+        if (this.isShortcutsHelpOpen) {
+            if (e.key === 'Escape' || shortcut?.action === 'help') {
+                e.preventDefault();
+                this.toggleShortcutsHelp(false);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+            }
+            return;
+        }
 
-        // Speed option click handlers
-        this.speedOptions?.forEach(option => {
-            option.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const speed = parseFloat(option.dataset.speed);
-                this.mainVideo.playbackRate = speed;
+        if (!shortcut) return;
+        if (shortcut.action !== 'help' && this.mainVideoControls?.classList.contains('hidden')) return;
 
-                if (this.currentSpeed) {
-                    this.currentSpeed.textContent = speed === 1 ? '1x' : speed + 'x';
-                }
+        // Space / Enter on a focused player button presses that button
+        if ((e.key === ' ' || e.key === 'Enter') && target.closest?.('button')) return;
 
-                this.speedOptions.forEach(opt => opt.classList.remove('bg-white/20'));
-                option.classList.add('bg-white/20');
+        e.preventDefault();
+        this.runShortcut(shortcut.action, shortcut.index);
+    }
 
-                this.speedSubmenu?.classList.add('hidden');
-                this.settingsMenu?.classList.add('hidden');
-                this.isSettingsOpen = false;
-            });
-        });
+    /**
+     * Text fields and other editable elements keep their own keys
+     */
+    isEditableTarget(target) {
+        if (target?.isContentEditable) return true;
+        return !!target?.closest?.('textarea, select, [contenteditable]:not([contenteditable="false"]), input:not([type="range"]):not([type="checkbox"]):not([type="radio"]):not([type="button"])');
+    }
 
-        // Quality option click handlers
-        this.qualityOptions?.forEach(option => {
-            option.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const quality = option.dataset.quality;
+    /**
+     * Run a KEYBOARD_SHORTCUTS action. `index` is the position of the
+     * pressed key in the action's key list.
+     */
+    runShortcut(action, index) {
+        const video = this.mainVideo;
+
+        switch (action) {
+            case 'togglePlay':
+                this.togglePlayPause();
+                break;
+            case 'seekBackward':
+                this.seekWithinVideo(video.currentTime - this.config.skipBackwardSeconds);
+                break;
+            case 'seekForward':
+                this.seekWithinVideo(video.currentTime + this.config.skipForwardSeconds);
+                break;
+            case 'jumpBackward':
+                this.seekWithinVideo(video.currentTime - JUMP_SECONDS);
+                break;
+            case 'jumpForward':
+                this.seekWithinVideo(video.currentTime + JUMP_SECONDS);
+                break;
+            case 'seekPercent':
+                if (Number.isFinite(video.duration)) this.seekWithinVideo(video.duration * index / 10);
+                break;
+            case 'seekStart':
+                this.seekWithinVideo(0);
+                break;
+            case 'seekEnd':
+                if (Number.isFinite(video.duration)) this.seekWithinVideo(video.duration);
+                break;
+            case 'previousFrame':
+            case 'nextFrame':
+                if (!video.paused) video.pause();
+                this.seekWithinVideo(video.currentTime + (action === 'nextFrame' ? FRAME_STEP_SECONDS : -FRAME_STEP_SECONDS));
+                break;
+            case 'slower':
+            case 'faster':
+                this.stepPlaybackRate(action === 'faster' ? 1 : -1);
+                break;
+            case 'volumeUp':
+                video.volume = Math.min(1, video.volume + 0.1);
+                this.volumeSlider.value = video.volume * 100;
+                break;
+            case 'volumeDown':
+                video.volume = Math.max(0, video.volume - 0.1);
+                this.volumeSlider.value = video.volume * 100;
+                break;
+            case 'toggleMute':
+                this.volumeBtn?.click();
+                break;
+            case 'toggleCaptions':
+                this.toggleCaptions();
+                break;
+            case 'toggleFullscreen':
+                this.fullscreenBtn?.click();
+                break;
+            case 'nextItem':
+                this.next();
+                break;
+            case 'previousItem':
+                this.prev();
+                break;
+            case 'help':
+                this.toggleShortcutsHelp();
+                break;
+        }
+    }
 
-                if (this.currentQuality) {
-                    this.currentQuality.textContent = quality.charAt(0).toUpperCase() + quality.slice(1);
-                }
+    /**
+     * Seek to `time`, kept inside the video, and show the controls
+     */
+    seekWithinVideo(time) {
+        const duration = this.mainVideo.duration;
+        if (Number.isNaN(duration)) return;
 
-                this.qualityOptions.forEach(opt => opt.classList.remove('bg-white/20'));
-                option.classList.add('bg-white/20');
+        this.mainVideo.currentTime = Math.min(duration, Math.max(0, time));
+        this.showControls();
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) rate of PLAYBACK_SPEEDS
+     */
+    stepPlaybackRate(direction) {
+        const rate = this.mainVideo.playbackRate;
+        const speeds = direction > 0 ? PLAYBACK_SPEEDS : [...PLAYBACK_SPEEDS].reverse();
+        const next = speeds.find(speed => (direction > 0 ? speed > rate : speed < rate));
+        if (next === undefined) return;
+
+        this.setPlaybackRate(next);
+        this.announce(this.t('speedAnnouncement', { rate: next }));
+    }
+
+    /**
+     * Show or hide the shortcut help; toggles when `show` is omitted
+     */
+    toggleShortcutsHelp(show = !this.isShortcutsHelpOpen) {
+        if (!this.shortcutsOverlay) return;
+        this.isShortcutsHelpOpen = show;
+
+        if (show) {
+            this.renderShortcutsHelp();
+            this.shortcutsOverlay.classList.remove('hidden');
+            this.shortcutsCloseBtn?.focus();
+        } else {
+            const hadFocus = this.shortcutsOverlay.contains(document.activeElement);
+            this.shortcutsOverlay.classList.add('hidden');
+            if (hadFocus) this.container.focus();
+        }
+    }
 
-                this.qualitySubmenu?.classList.add('hidden');
-                this.settingsMenu?.classList.add('hidden');
-                this.isSettingsOpen = false;
+    /**
+     * One row per action with active keys, in KEYBOARD_SHORTCUTS order
+     */
+    renderShortcutsHelp() {
+        if (!this.shortcutsList) return;
+        this.shortcutsList.innerHTML = '';
+
+        const seconds = {
+            seekBackward: this.config.skipBackwardSeconds,
+            seekForward: this.config.skipForwardSeconds,
+            jumpBackward: JUMP_SECONDS,
+            jumpForward: JUMP_SECONDS
+        };
 
-                console.log('Quality changed to:', quality);
+        Object.entries(this.config.keyboard).forEach(([action, keys]) => {
+            const activeKeys = keys.filter(key => key !== null);
+            if (!activeKeys.length) return;
+            if ((action === 'nextItem' || action === 'previousItem') && this.playlist.length < 2) return;
+
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between py-1';
+
+            const label = document.createElement('span');
+            label.className = 'text-gray-300';
+            label.textContent = this.t(KEYBOARD_SHORTCUTS[action].label, { count: seconds[action] });
+
+            // The ten percentage keys are shown as a range ("0 – 9")
+            const isRange = action === 'seekPercent' && activeKeys.length > 2;
+            const shownKeys = isRange ? [activeKeys[0], activeKeys[activeKeys.length - 1]] : activeKeys;
+
+            const keysEl = document.createElement('span');
+            keysEl.className = 'flex items-center gap-1';
+            shownKeys.forEach((key, i) => {
+                if (isRange && i > 0) keysEl.append('–');
+                const kbd = document.createElement('kbd');
+                kbd.className = 'px-2 py-1 rounded bg-white/10 text-xs';
+                kbd.textContent = this.getKeyName(key);
+                keysEl.appendChild(kbd);
             });
-        });
 
-        // Close settings menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (this.isSettingsOpen && !this.settingsContainer?.contains(e.target)) {
-                this.settingsMenu?.classList.add('hidden');
-                this.speedSubmenu?.classList.add('hidden');
-                this.qualitySubmenu?.classList.add('hidden');
-                this.isSettingsOpen = false;
-            }
+            row.appendChild(label);
+            row.appendChild(keysEl);
+            this.shortcutsList.appendChild(row);
         });
+    }
 
-        // Track settings menu interaction
-        this.settingsContainer?.addEventListener('mouseenter', () => {
-            this.isUserInteracting = true;
-            clearTimeout(this.hideControlsTimeout);
-        });
+    /**
+     * Display name of a KeyboardEvent.key value ("Shift+N" for capitals)
+     */
+    getKeyName(key) {
+        if (key === ' ') return this.t('keySpace');
+        if (KEY_NAMES[key]) return KEY_NAMES[key];
+        if (key.length > 1) return key;
+        return key === key.toLowerCase() ? key.toUpperCase() : `Shift+${key}`;
+    }
 
-        this.settingsContainer?.addEventListener('mouseleave', () => {
-            if (!this.isSettingsOpen) {
-                this.isUserInteracting = false;
-                this.showControls();
-            }
+    /**
+     * Make this the player that receives keyboard shortcuts
+     */
+    activate() {
+        VideoPlayer.activePlayer = this;
+    }
+
+    /**
+     * Playback started here: take the keyboard and, with `pauseOthers`,
+     * pause every other player on the page
+     */
+    onPlaybackStart() {
+        this.activate();
+        this.updateMiniPlayer();
+
+        if (!this.config.pauseOthers) return;
+        VideoPlayer.instances.forEach(player => {
+            if (player === this) return;
+            if (player.mainVideo && !player.mainVideo.paused) player.mainVideo.pause();
+            if (player.adVideo && !player.adVideo.paused) player.adVideo.pause();
         });
     }
 
-    // ============ KEYBOARD CONTROLS ============
+    // ============ EVENTS ============
 
-    bindKeyboardEvents() {
-        document.addEventListener('keydown', (e) => {
-            if (this.mainVideoControls?.classList.contains('hidden')) return;
+    /**
+     * addEventListener that destroy() can undo; a missing target is ignored
+     */
+    listen(target, type, handler, options) {
+        if (!target) return;
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
 
-            switch(e.key) {
-                case ' ':
-                case 'k':
-                    e.preventDefault();
-                    this.togglePlayPause();
-                    break;
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.mainVideo.currentTime = Math.max(0, this.mainVideo.currentTime - this.config.skipBackwardSeconds);
-                    this.showControls();
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.mainVideo.currentTime = Math.min(this.mainVideo.duration, this.mainVideo.currentTime + this.config.skipForwardSeconds);
-                    this.showControls();
-                    break;
-                case 'ArrowUp':
-                    e.preventDefault();
-                    this.mainVideo.volume = Math.min(1, this.mainVideo.volume + 0.1);
-                    this.volumeSlider.value = this.mainVideo.volume * 100;
-                    break;
-                case 'ArrowDown':
-                    e.preventDefault();
-                    this.mainVideo.volume = Math.max(0, this.mainVideo.volume - 0.1);
-                    this.volumeSlider.value = this.mainVideo.volume * 100;
-                    break;
-                case 'f':
-                    e.preventDefault();
-                    this.fullscreenBtn?.click();
-                    break;
-                case 'm':
-                    e.preventDefault();
-                    this.volumeBtn?.click();
-                    break;
+    /**
+     * Call the listeners of `type` with { type, player, currentTime, data }.
+     * A failing listener is logged and does not stop the others.
+     */
+    emit(type, data = {}) {
+        const listeners = this.eventListeners[type];
+        if (!listeners?.length) return;
+
+        const payload = {
+            type,
+            player: this,
+            currentTime: this.mainVideo?.currentTime || 0,
+            data
+        };
+
+        listeners.slice().forEach(listener => {
+            try {
+                listener.call(this, payload);
+            } catch (error) {
+                console.error(`VideoPlayer "${type}" listener failed:`, error);
             }
         });
     }
 
+    /**
+     * Ad details shared by the adstart / adskip / adend payloads
+     */
+    getAdEventData() {
+        const ad = this.currentAd;
+        return {
+            ad: ad ? { url: ad.url, vastUrl: ad.vastUrl || null, skipAfter: ad.skipAfter, duration: ad.duration || null } : null,
+            adBreak: this.activeAdBreak?.offset ?? null,
+            podIndex: this.podIndex,
+            podSize: this.activeAdBreak?.pod.length || 0,
+            adTime: this.adVideo?.currentTime || 0
+        };
+    }
+
     // ============ PUBLIC METHODS ============
 
+    /**
+     * Listen to a player event: adstart, adskip, adend, play, pause, playing,
+     * waiting, timeupdate, ended, qualitychange, ratechange, fullscreenchange,
+     * pictureinpicturechange, miniplayerchange, playlistitem, mediachange,
+     * error, destroy
+     */
+    on(type, callback) {
+        if (this.destroyed || typeof callback !== 'function') return this;
+        (this.eventListeners[type] ||= []).push(callback);
+        return this;
+    }
+
+    /**
+     * Remove a listener, or every listener of `type` when no callback is given
+     */
+    off(type, callback) {
+        const listeners = this.eventListeners[type];
+        if (!listeners) return this;
+
+        if (callback) {
+            this.eventListeners[type] = listeners.filter(listener => listener !== callback && listener.original !== callback);
+        } else {
+            delete this.eventListeners[type];
+        }
+        return this;
+    }
+
+    /**
+     * Listen to the next `type` event only
+     */
+    once(type, callback) {
+        if (this.destroyed || typeof callback !== 'function') return this;
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            callback.call(this, payload);
+        };
+        wrapper.original = callback;
+        return this.on(type, wrapper);
+    }
+
     /**
      * Play the video
      */
     play() {
+        if (this.destroyed) return;
         this.mainVideo?.play();
     }
 
@@ -1275,6 +5043,7 @@ class VideoPlayer {
      * Pause the video
      */
     pause() {
+        if (this.destroyed) return;
         this.mainVideo?.pause();
     }
 
@@ -1282,7 +5051,7 @@ class VideoPlayer {
      * Set video volume (0-1)
      */
     setVolume(volume) {
-        if (this.mainVideo) {
+        if (this.mainVideo && !this.destroyed) {
             this.mainVideo.volume = Math.max(0, Math.min(1, volume));
             if (this.volumeSlider) {
                 this.volumeSlider.value = this.mainVideo.volume * 100;
@@ -1294,7 +5063,7 @@ class VideoPlayer {
      * Seek to specific time (in seconds)
      */
     seekTo(seconds) {
-        if (this.mainVideo) {
+        if (this.mainVideo && !this.destroyed) {
             this.mainVideo.currentTime = seconds;
         }
     }
@@ -1303,6 +5072,7 @@ class VideoPlayer {
      * Get current time
      */
     getCurrentTime() {
+        if (this.destroyed) return 0;
         return this.mainVideo?.currentTime || 0;
     }
 
@@ -1310,14 +5080,416 @@ class VideoPlayer {
      * Get duration
      */
     getDuration() {
+        if (this.destroyed) return 0;
         return this.mainVideo?.duration || 0;
     }
 
     /**
-     * Destroy the player and cleanup
+     * Get the available quality levels ({ id, label, height, bitrate })
+     */
+    getQualityLevels() {
+        return this.qualityLevels.map(({ id, label, height, bitrate }) => ({ id, label, height, bitrate }));
+    }
+
+    /**
+     * Get the text tracks ({ index, label, srclang, kind, active })
+     */
+    getTextTracks() {
+        return this.textTracks.map((track, index) => ({
+            index,
+            label: track.label,
+            srclang: track.srclang,
+            kind: track.kind,
+            active: index === this.activeTrackIndex
+        }));
+    }
+
+    /**
+     * Swap in another video without rebuilding the player. `adVideo` /
+     * `adSchedule` replace the current ads when given (null = no ads);
+     * shows the thumbnail and play button again unless `autoplay` is set.
+     * The video is outside the playlist: getPlaylistIndex() returns null
+     * and next/prev stay disabled until loadItem() is called.
+     */
+    loadVideo({ mainVideo, adVideo, adSchedule, thumbnailUrl, autoplay = false } = {}) {
+        if (this.destroyed || !mainVideo) return;
+
+        this.config.mainVideo = this.normalizeMainVideo(mainVideo);
+        if (adVideo !== undefined) this.config.adVideo = this.normalizeAdPod(adVideo);
+        if (adSchedule !== undefined) this.config.adSchedule = adSchedule;
+        this.config.thumbnailUrl = thumbnailUrl || this.config.mainVideo.url;
+        if (this.playlist.length) this.playlistIndex = null;
+
+        this.loadCurrentMedia(autoplay);
+    }
+
+    /**
+     * Play playlist item `index` (ads follow that item's rules)
+     */
+    loadItem(index, autoplay = true) {
+        if (this.destroyed || !this.playlist[index]) return;
+
+        this.applyPlaylistItem(index);
+        this.loadCurrentMedia(autoplay);
+        this.emit('playlistitem', { index, title: this.config.mainVideo.title });
+    }
+
+    /**
+     * Play the next playlist item (wraps around with playlistOptions.loop)
+     */
+    next() {
+        const index = this.getNextIndex();
+        if (index !== null) this.loadItem(index);
+    }
+
+    /**
+     * Play the previous playlist item
+     */
+    prev() {
+        const index = this.getPrevIndex();
+        if (index !== null) this.loadItem(index);
+    }
+
+    /**
+     * Get the index of the current playlist item
+     */
+    getPlaylistIndex() {
+        return this.playlistIndex;
+    }
+
+    /**
+     * Switch skin or theme values at runtime (same shape as config.theme)
+     */
+    setTheme(theme) {
+        if (this.destroyed) return;
+
+        this.config.theme = this.resolveTheme(theme);
+        this.applyTheme();
+
+        // Swap icon paths in place so listeners and state classes survive
+        this.wrapper.querySelectorAll('svg[data-icon]').forEach(svg => {
+            const name = svg.getAttribute('data-icon');
+            svg.querySelector('path')?.setAttribute('d', this.config.theme.icons[name] || PLAYER_ICONS[name]);
+        });
+    }
+
+    /**
+     * Get the selected quality level id ('auto' when adaptive)
+     */
+    getQuality() {
+        return this.currentQualityId;
+    }
+
+    /**
+     * Detach every listener, unload the videos and restore the wrapper's
+     * original content. Later calls on the instance do nothing.
      */
     destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        this.savePosition(true);
         clearTimeout(this.hideControlsTimeout);
-        // Additional cleanup if needed
+        clearInterval(this.upNextTimer);
+        clearTimeout(this.adWatchdog);
+        clearTimeout(this.stallTimer);
+        clearTimeout(this.retryTimer);
+        this.adTracking = null;
+
+        // Last event before the listeners go away (plugins flush here)
+        this.emit('destroy');
+        this.eventListeners = {};
+
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
+
+        if (this.videoContainer && document.fullscreenElement === this.videoContainer) {
+            document.exitFullscreen().catch(() => {});
+        }
+        if (this.mainVideo && document.pictureInPictureElement === this.mainVideo) {
+            document.exitPictureInPicture().catch(() => {});
+        }
+        this.miniPlayerObserver?.disconnect();
+
+        this.destroyStreaming();
+
+        // Stop downloads: pause, drop the sources and reload the empty element
+        [this.thumbnailVideo, this.adVideo, this.mainVideo].forEach(video => {
+            if (!video) return;
+            video.pause();
+            video.removeAttribute('src');
+            video.querySelectorAll('source').forEach(source => source.remove());
+            video.load();
+        });
+
+        this.wrapper?.replaceChildren(...(this.originalWrapperContent || []));
+        if (this.wrapper) {
+            this.wrapper.classList.remove(PLAYER_ROOT_CLASS);
+            Object.keys(this.getThemeVariables()).forEach(name => this.wrapper.style.removeProperty(name));
+            if (!this.wrapper.getAttribute('style')) this.wrapper.removeAttribute('style');
+            if (!this.wrapper.className) this.wrapper.removeAttribute('class');
+        }
+
+        VideoPlayer.instances.delete(this);
+        if (VideoPlayer.activePlayer === this) {
+            VideoPlayer.activePlayer = VideoPlayer.instances.values().next().value || null;
+        }
+        this.thumbnailVideo = null;
+        this.adVideo = null;
+        this.mainVideo = null;
+    }
+}
+
+/**
+ * VideoPlayerAnalytics - Viewing session metrics for a VideoPlayer
+ *
+ * Aggregates time to first frame, rebuffering, watched ranges, completion,
+ * ad skips, quality switches and errors into a session object and sends it
+ * in batches to `endpoint` (navigator.sendBeacon when the page is hidden).
+ *
+ * Usage:
+ * const analytics = new VideoPlayerAnalytics(player, {
+ *   endpoint: 'https://collector.example.com/video',
+ *   batchInterval: 15000,
+ *   metadata: { userId: 'abc' }
+ * });
+ */
+class VideoPlayerAnalytics {
+    constructor(player, options = {}) {
+        if (!player) {
+            throw new Error('VideoPlayerAnalytics requires a VideoPlayer');
+        }
+
+        this.player = player;
+        this.options = {
+            endpoint: options.endpoint || null,
+            batchInterval: options.batchInterval || 15000,
+            metadata: options.metadata || {},
+            transport: options.transport || null // (payload, isUnload) => void, replaces the HTTP request
+        };
+
+        this.queue = [];
+        this.handlers = {};
+        this.dirty = false;
+        this.session = this.createSession();
+
+        this.bindPlayerEvents();
+
+        this.onPageHide = () => this.flush(true);
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flush(true);
+        };
+        window.addEventListener('pagehide', this.onPageHide);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.batchTimer = setInterval(() => this.flush(), this.options.batchInterval);
+    }
+
+    /**
+     * Fresh session for the player's current video
+     */
+    createSession() {
+        const media = this.player.config.mainVideo;
+
+        this.playRequestedAt = null;
+        this.rebufferStartedAt = null;
+        this.lastTime = null;
+        this.ranges = [];
+
+        return {
+            id: window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+            videoId: media.id,
+            videoUrl: media.url,
+            title: media.title,
+            startedAt: new Date().toISOString(),
+            timeToFirstFrame: null, // ms from play to the first frame
+            rebufferCount: 0,
+            rebufferDuration: 0, // ms
+            duration: 0,
+            ads: { started: 0, completed: 0, skipped: 0, timeToSkip: [] },
+            qualitySwitches: 0,
+            errors: []
+        };
+    }
+
+    bindPlayerEvents() {
+        const on = (type, handler) => {
+            this.handlers[type] = (e) => {
+                this.dirty = true;
+                handler(e);
+            };
+            this.player.on(type, this.handlers[type]);
+        };
+
+        on('play', (e) => {
+            if (this.session.timeToFirstFrame === null && this.playRequestedAt === null) {
+                this.playRequestedAt = performance.now();
+            }
+            this.record(e);
+        });
+
+        on('playing', () => {
+            const now = performance.now();
+            if (this.session.timeToFirstFrame === null && this.playRequestedAt !== null) {
+                this.session.timeToFirstFrame = Math.round(now - this.playRequestedAt);
+            }
+            if (this.rebufferStartedAt !== null) {
+                this.session.rebufferDuration += Math.round(now - this.rebufferStartedAt);
+                this.rebufferStartedAt = null;
+            }
+        });
+
+        // Stalls after the first frame; waiting caused by a seek is not a rebuffer
+        on('waiting', (e) => {
+            if (this.session.timeToFirstFrame === null || e.data.seeking || this.rebufferStartedAt !== null) return;
+            this.session.rebufferCount += 1;
+            this.rebufferStartedAt = performance.now();
+            this.record(e);
+        });
+
+        on('timeupdate', (e) => this.trackWatched(e.currentTime, e.data.duration));
+        on('pause', (e) => this.record(e));
+        on('ended', (e) => this.record(e));
+
+        on('adstart', (e) => {
+            this.session.ads.started += 1;
+            this.record(e);
+        });
+        on('adskip', (e) => {
+            this.session.ads.skipped += 1;
+            this.session.ads.timeToSkip.push(Math.round(e.data.adTime * 10) / 10);
+            this.record(e);
+        });
+        on('adend', (e) => {
+            if (!e.data.skipped) this.session.ads.completed += 1;
+        });
+
+        on('qualitychange', (e) => {
+            this.session.qualitySwitches += 1;
+            this.record(e);
+        });
+
+        on('error', (e) => {
+            this.session.errors.push({ ...e.data, time: e.currentTime });
+            this.record(e);
+        });
+
+        // New video in the same player: report the old session and start over
+        on('mediachange', () => {
+            this.flush();
+            this.session = this.createSession();
+        });
+
+        on('destroy', () => this.destroy());
+    }
+
+    /**
+     * Extend the current watched range while playback is continuous; a jump
+     * (seek) starts a new range
+     */
+    trackWatched(time, duration) {
+        if (Number.isFinite(duration)) this.session.duration = duration;
+
+        const range = this.ranges[this.ranges.length - 1];
+        if (range && this.lastTime !== null && time >= this.lastTime && time - this.lastTime < 2) {
+            range[1] = time;
+        } else {
+            this.ranges.push([time, time]);
+        }
+        this.lastTime = time;
+    }
+
+    record(e) {
+        this.queue.push({ type: e.type, time: e.currentTime, at: Date.now(), data: e.data });
+    }
+
+    mergeRanges() {
+        const sorted = this.ranges.map(range => [...range]).sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        sorted.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else if (range[1] > range[0]) {
+                merged.push(range);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Snapshot of the session with the derived metrics
+     */
+    getSession() {
+        const watchedRanges = this.mergeRanges();
+        const watchedSeconds = watchedRanges.reduce((total, [start, end]) => total + end - start, 0);
+        const { ads, duration } = this.session;
+
+        return {
+            ...this.session,
+            watchedRanges: watchedRanges.map(([start, end]) => [Math.round(start * 10) / 10, Math.round(end * 10) / 10]),
+            watchedSeconds: Math.round(watchedSeconds),
+            completion: duration ? Math.min(100, Math.round(watchedSeconds / duration * 100)) : 0,
+            ads: {
+                ...ads,
+                timeToSkip: [...ads.timeToSkip],
+                skipRate: ads.started ? Math.round(ads.skipped / ads.started * 100) / 100 : 0,
+                averageTimeToSkip: ads.timeToSkip.length
+                    ? Math.round(ads.timeToSkip.reduce((total, time) => total + time, 0) / ads.timeToSkip.length * 10) / 10
+                    : null
+            },
+            errors: [...this.session.errors]
+        };
+    }
+
+    /**
+     * Send the session and the events queued since the last batch
+     */
+    flush(isUnload = false) {
+        if (!this.dirty && !this.queue.length) return;
+        this.dirty = false;
+
+        const payload = {
+            session: this.getSession(),
+            events: this.queue.splice(0),
+            metadata: this.options.metadata,
+            sentAt: new Date().toISOString()
+        };
+
+        if (this.options.transport) {
+            this.options.transport(payload, isUnload);
+            return;
+        }
+        if (!this.options.endpoint) return;
+
+        // text/plain keeps the request CORS-simple for cross-origin collectors
+        const body = JSON.stringify(payload);
+        if (isUnload && navigator.sendBeacon) {
+            navigator.sendBeacon(this.options.endpoint, new Blob([body], { type: 'text/plain' }));
+            return;
+        }
+        fetch(this.options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body,
+            keepalive: true
+        }).catch(error => console.warn('Analytics batch could not be sent:', error.message));
+    }
+
+    /**
+     * Send what is left and stop listening
+     */
+    destroy() {
+        if (!this.player) return;
+
+        clearInterval(this.batchTimer);
+        window.removeEventListener('pagehide', this.onPageHide);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        Object.entries(this.handlers).forEach(([type, handler]) => this.player.off(type, handler));
+
+        this.flush(true);
+        this.player = null;
     }
 }
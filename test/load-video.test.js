@@ -0,0 +1,109 @@
+/**
+ * loadVideo() while an ad break is running
+ *
+ * Usage:
+ *   npm install --no-save jsdom
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+
+/**
+ * Load script.js into a fresh jsdom window. jsdom does not play media, so
+ * play/pause only fire their events and seeking fires timeupdate like a browser.
+ */
+function createWindow() {
+    const { window } = new JSDOM('<!DOCTYPE html><body><div id="player"></div></body>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'http://localhost/'
+    });
+    const proto = window.HTMLMediaElement.prototype;
+
+    proto.load = function () {};
+    proto.play = function () {
+        this.isPlaying = true;
+        this.dispatchEvent(new window.Event('play'));
+        return Promise.resolve();
+    };
+    proto.pause = function () {
+        this.isPlaying = false;
+        this.dispatchEvent(new window.Event('pause'));
+    };
+    Object.defineProperty(proto, 'paused', { get() { return !this.isPlaying; } });
+    Object.defineProperty(proto, 'currentTime', {
+        get() { return this.time || 0; },
+        set(value) {
+            this.time = value;
+            this.dispatchEvent(new window.Event('timeupdate'));
+        }
+    });
+
+    window.eval(`${source}\nwindow.VideoPlayer = VideoPlayer;`);
+    return window;
+}
+
+async function startAdBreak(window, config) {
+    const player = new window.VideoPlayer({ wrapperId: 'player', ...config });
+    player.startPlayback();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    player.adVideo.currentTime = 2;
+    assert.ok(player.activeAdBreak, 'the pre-roll is playing');
+    return player;
+}
+
+test('loadVideo() during an ad stops the break and loads the new video', async () => {
+    const window = createWindow();
+    const errors = [];
+    window.addEventListener('error', event => errors.push(event.error));
+
+    const player = await startAdBreak(window, {
+        mainVideo: { url: 'https://example.com/first.mp4' },
+        adVideo: { url: 'https://example.com/ad.mp4', skipAfter: 5 }
+    });
+
+    player.loadVideo({ mainVideo: { url: 'https://example.com/second.mp4' }, adVideo: null });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(player.activeAdBreak, null);
+    assert.strictEqual(player.currentAd, null);
+    assert.strictEqual(player.adVideo.querySelector('source').getAttribute('src'), null);
+    assert.strictEqual(player.mainVideo.querySelector('source').getAttribute('src'), 'https://example.com/second.mp4');
+    assert.strictEqual(player.adBreaks.length, 0);
+
+    // The detached ad element may still report time
+    player.adVideo.dispatchEvent(new window.Event('timeupdate'));
+    assert.deepStrictEqual(errors, []);
+
+    player.destroy();
+});
+
+test('loadVideo() during an ad in playlist mode leaves the playlist', async () => {
+    const window = createWindow();
+    const errors = [];
+    window.addEventListener('error', event => errors.push(event.error));
+
+    const player = await startAdBreak(window, {
+        playlist: [
+            { mainVideo: { url: 'https://example.com/first.mp4' }, adVideo: { url: 'https://example.com/ad.mp4' } },
+            { mainVideo: { url: 'https://example.com/second.mp4' } }
+        ]
+    });
+
+    player.loadVideo({ mainVideo: { url: 'https://example.com/other.mp4' }, autoplay: true });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(player.getPlaylistIndex(), null);
+    assert.strictEqual(player.upNextTimer, null);
+    assert.ok(player.nextBtn.disabled);
+    assert.ok(player.prevBtn.disabled);
+
+    player.destroy();
+});